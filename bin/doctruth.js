@@ -6,12 +6,24 @@
  * Never lie about your documentation again
  */
 
-const { program } = require('commander');
+const { program, InvalidArgumentError } = require('commander');
 const path = require('path');
 const fs = require('fs');
 const DocTruth = require('../src/index');
+const history = require('../src/history');
+const cache = require('../src/cache');
+const { formatProblem } = require('../src/schema');
 const { version } = require('../package.json');
 
+// Rejected values are reported by commander as usage errors
+function positiveInteger(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidArgumentError('Expected a positive integer.');
+  }
+  return number;
+}
+
 // CLI Configuration
 program
   .name('doctruth')
@@ -19,7 +31,7 @@ program
   .version(version)
   .option('-c, --config <path>', 'Path to config file', '.doctruth.yml')
   .option('-o, --output <path>', 'Output file path')
-  .option('-f, --format <type>', 'Output format (markdown|json|html)', 'markdown')
+  .option('-f, --format <type>', 'Output format (markdown|json|html|junit|tap or a plugin format)', 'markdown')
   .option('--check', 'Check if truth has changed (exit 1 if changed)')
   .option('--watch', 'Watch for changes and regenerate')
   .option('--init', 'Initialize a new .doctruth.yml config')
@@ -28,21 +40,156 @@ program
   .option('--silent', 'Silent mode - no console output')
   .option('--no-color', 'Disable colored output')
   .option('--timeout <seconds>', 'Command timeout in seconds', '10')
+  .option('-j, --concurrency <n>', 'Maximum number of commands to run in parallel', positiveInteger)
   .option('--fail-on-error', 'Exit with error if any command fails')
   .option('--diff', 'Show diff when checking changes')
-  .parse(process.argv);
+  .option('--no-cache', 'Re-run every command instead of reusing cached results')
+  .action(main);
+
+program
+  .command('history [snapshot]')
+  .description('List saved truth snapshots, or show one')
+  .option('--source <name>', 'Show when the output of a truth source changed')
+  .action((snapshot, cmdOptions) => runCommand(() => showHistory(snapshot, cmdOptions)));
+
+program
+  .command('diff <a> <b>')
+  .description('Compare two truth snapshots (id, commit, "latest" or "previous")')
+  .option('--markdown', 'Print the diff as Markdown')
+  .action((a, b, cmdOptions) => runCommand(() => diffSnapshots(a, b, cmdOptions)));
+
+program
+  .command('validate [config]')
+  .description('Check a config file against the DocTruth schema')
+  .action(configPath => validateConfig(configPath || options.config));
+
+program
+  .command('doctest [files...]')
+  .description('Run the shell snippets marked as doc tests in Markdown files')
+  .option('--all', 'Run every bash/sh snippet, not only marked ones')
+  .action((files, cmdOptions) => runDoctests(files, cmdOptions));
+
+const cacheCommand = program
+  .command('cache')
+  .description('Manage cached command results');
+
+cacheCommand
+  .command('clear')
+  .description(`Delete all cached results in ${cache.CACHE_DIR}`)
+  .action(() => runCommand(clearCache));
 
 const options = program.opts();
 
-// Handle --init flag
-if (options.init) {
-  const doctruth = new DocTruth();
-  doctruth.initConfig(options.preset);
-  process.exit(0);
+function runCommand(fn) {
+  try {
+    fn();
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function showHistory(ref, cmdOptions) {
+  if (cmdOptions.source) {
+    const timeline = history.sourceTimeline(cmdOptions.source);
+    if (timeline.length === 0) {
+      console.log('No snapshots found');
+      return;
+    }
+    for (const entry of timeline) {
+      console.log(`${entry.timestamp}${entry.commit ? ` (${entry.commit})` : ''}`);
+      console.log(entry.output === undefined ? '  (source missing)' : entry.output.replace(/^/gm, '  '));
+    }
+    return;
+  }
+
+  if (ref) {
+    console.log(JSON.stringify(history.loadSnapshot(ref), null, 2));
+    return;
+  }
+
+  const snapshots = history.listSnapshots();
+  if (snapshots.length === 0) {
+    console.log(`No snapshots found in ${history.HISTORY_DIR}`);
+    return;
+  }
+  for (const snapshot of snapshots) {
+    console.log(`${snapshot.id}${snapshot.commit ? `  ${snapshot.commit}` : ''}`);
+  }
+}
+
+function diffSnapshots(a, b, cmdOptions) {
+  const before = history.loadSnapshot(a);
+  const after = history.loadSnapshot(b);
+  const changes = history.diffSnapshots(before, after);
+  console.log(history.formatDiff(changes, before, after, { markdown: cmdOptions.markdown }));
+}
+
+function clearCache() {
+  const removed = cache.clearCache();
+  console.log(`Removed ${removed} cached result(s)`);
+}
+
+async function validateConfig(configPath) {
+  const doctruth = new DocTruth({ config: configPath, silent: true });
+
+  try {
+    await doctruth.loadConfig();
+  } catch (error) {
+    if (doctruth.problems.length === 0) {
+      console.error(`❌ Error: ${error.message}`);
+    } else {
+      doctruth.problems.forEach(problem => console.error(formatProblem(problem)));
+      console.error(`❌ ${doctruth.problems.length} problem(s) found`);
+    }
+    process.exit(1);
+  }
+
+  console.log(`✅ ${configPath} is valid`);
+}
+
+async function runDoctests(files, cmdOptions) {
+  const doctruth = new DocTruth({ ...options, silent: true });
+
+  try {
+    // Settings such as cwd and timeout come from the config when there is one
+    if (fs.existsSync(doctruth.configPath)) {
+      await doctruth.loadConfig();
+    }
+
+    const results = await doctruth.doctest(files, cmdOptions.all ? { all: true } : {});
+    const failed = results.filter(result => !result.passed);
+
+    for (const result of failed) {
+      console.error(`${result.name}: ${result.failure}`);
+      if (result.excerpt) {
+        console.error(result.excerpt.replace(/^/gm, '  > '));
+      }
+    }
+
+    if (results.length === 0) {
+      console.log('No doc tests found');
+    } else if (failed.length > 0) {
+      console.error(`❌ ${failed.length} of ${results.length} doc test(s) failed`);
+      process.exit(1);
+    } else {
+      console.log(`✅ ${results.length} doc test(s) passed`);
+    }
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
 }
 
 // Main execution
 async function main() {
+  // Handle --init flag
+  if (options.init) {
+    const doctruth = new DocTruth();
+    doctruth.initConfig(options.preset);
+    process.exit(0);
+  }
+
   try {
     const doctruth = new DocTruth(options);
 
@@ -63,6 +210,13 @@ async function main() {
     } else if (options.watch) {
       // Watch mode - regenerate on changes
       await doctruth.watch();
+
+      const stop = async () => {
+        await doctruth.close();
+        process.exit(0);
+      };
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
     } else {
       // Normal mode - generate truth
       await doctruth.generate();
@@ -90,4 +244,4 @@ async function main() {
 }
 
 // Run the CLI
-main();
\ No newline at end of file
+program.parse(process.argv);
\ No newline at end of file
@@ -0,0 +1,182 @@
+/**
+ * DocTruth - Assertions
+ * Declarative checks for validations: exit codes, text, numbers, semver and JSON paths
+ */
+
+const semver = require('./semver');
+
+/**
+ * Pull the first number out of command output ("Coverage: 84.2%" -> 84.2)
+ */
+function extractNumber(output) {
+  const match = String(output).match(/-?\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : NaN;
+}
+
+/**
+ * Resolve a simple JSON path: "$.engines.node", "scripts.test", "items[0].name", 'a["b-c"]'
+ */
+function resolvePath(data, jsonPath) {
+  const tokens = [];
+  const pattern = /\[(\d+)\]|\[["'](.+?)["']\]|([^.[\]]+)/g;
+  let match;
+
+  const body = String(jsonPath).replace(/^\$\.?/, '');
+  while ((match = pattern.exec(body)) !== null) {
+    tokens.push(match[1] !== undefined ? parseInt(match[1], 10) : (match[2] ?? match[3]));
+  }
+
+  let value = data;
+  for (const token of tokens) {
+    if (value === null || value === undefined || !(token in Object(value))) {
+      return { found: false, value: undefined };
+    }
+    value = value[token];
+  }
+
+  return { found: true, value };
+}
+
+const asList = value => (Array.isArray(value) ? value : [value]);
+
+const numeric = compareFn => (expected, context) => {
+  const actual = extractNumber(context.output);
+  return { passed: !Number.isNaN(actual) && compareFn(actual, Number(expected)), actual };
+};
+
+/**
+ * Built-in assertion kinds. Each receives the expected value from the config
+ * and a context ({ output, stdout, stderr, exitCode }) and reports
+ * { passed, actual }.
+ */
+const assertions = {
+  expect_exit_code: (expected, context) => ({
+    passed: asList(expected).map(Number).includes(context.exitCode),
+    actual: context.exitCode
+  }),
+
+  equals: (expected, context) => ({
+    passed: context.output === String(expected).trim(),
+    actual: context.output
+  }),
+
+  contains: (expected, context) => ({
+    passed: asList(expected).every(text => context.output.includes(String(text))),
+    actual: context.output
+  }),
+
+  not_contains: (expected, context) => ({
+    passed: !asList(expected).some(text => context.output.includes(String(text))),
+    actual: context.output
+  }),
+
+  matches: (expected, context) => ({
+    passed: asList(expected).every(pattern => new RegExp(pattern, 'm').test(context.output)),
+    actual: context.output
+  }),
+
+  gt: numeric((actual, expected) => actual > expected),
+  gte: numeric((actual, expected) => actual >= expected),
+  lt: numeric((actual, expected) => actual < expected),
+  lte: numeric((actual, expected) => actual <= expected),
+
+  semver: (expected, context) => {
+    const actual = semver.extract(context.output);
+    return { passed: actual !== null && semver.satisfies(actual, expected), actual };
+  },
+
+  exists: (expected, context) => ({
+    passed: Boolean(context.found) === Boolean(expected),
+    actual: context.found ? 'present' : 'missing'
+  }),
+
+  json: (expected, context) => {
+    let data;
+    try {
+      data = JSON.parse(context.output);
+    } catch (error) {
+      return { passed: false, actual: `invalid JSON (${error.message})` };
+    }
+
+    // Each entry checks one path with any of the other assertion kinds
+    const failures = [];
+    for (const check of asList(expected)) {
+      const { found, value } = resolvePath(data, check.path);
+      const output = typeof value === 'string' ? value : JSON.stringify(value) ?? '';
+      const spec = { exists: true, ...check };
+      delete spec.path;
+
+      const results = evaluateAssertions(spec, { ...context, output: output.trim(), found });
+      for (const result of results.filter(r => !r.passed)) {
+        failures.push({ ...result, path: check.path });
+      }
+    }
+
+    return {
+      passed: failures.length === 0,
+      actual: failures.map(f => `${f.path}: ${f.kind} ${JSON.stringify(f.expected)} got ${JSON.stringify(f.actual)}`).join('; ')
+    };
+  }
+};
+
+/**
+ * Register an additional assertion kind (used by plugins)
+ */
+function registerAssertion(kind, evaluate) {
+  if (typeof evaluate !== 'function') {
+    throw new Error(`Assertion "${kind}" must be a function`);
+  }
+  assertions[kind] = evaluate;
+}
+
+function hasAssertions(spec) {
+  return Object.keys(spec || {}).some(key => key in assertions && key !== 'exists');
+}
+
+/**
+ * Run every assertion kind present on spec against the context
+ */
+function evaluateAssertions(spec, context) {
+  const results = [];
+
+  for (const [kind, expected] of Object.entries(spec || {})) {
+    if (!(kind in assertions)) continue;
+
+    let outcome;
+    try {
+      outcome = assertions[kind](expected, { output: '', ...context });
+    } catch (error) {
+      outcome = { passed: false, actual: `[ERROR: ${error.message}]` };
+    }
+
+    results.push({ kind, expected, actual: outcome.actual, passed: Boolean(outcome.passed) });
+  }
+
+  return results;
+}
+
+/**
+ * One-line description of a failed assertion for reports
+ */
+function describeFailure(result) {
+  const show = value => {
+    const text = (JSON.stringify(value) || String(value)).replace(/\s+/g, ' ');
+    return text && text.length > 40 ? `${text.substring(0, 40)}…` : text;
+  };
+
+  if (result.kind === 'json') {
+    return `json: ${String(result.actual).replace(/\s+/g, ' ')}`;
+  }
+
+  return `${result.kind}: expected ${show(result.expected)}, got ${show(result.actual)}`;
+}
+
+module.exports = {
+  assertions,
+  registerAssertion,
+  hasAssertions,
+  evaluateAssertions,
+  describeFailure,
+  extractNumber,
+  resolvePath
+};
@@ -0,0 +1,176 @@
+/**
+ * DocTruth - Benchmarks
+ * Parses benchmark output into numbers, keeps a local history and detects regressions
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_FILE = path.join('.doctruth', 'benchmarks.json');
+const MAX_HISTORY = 100;
+
+// Units that can be converted into each other, scaled to a base unit
+const UNIT_FAMILIES = {
+  time: { ns: 1e-9, us: 1e-6, 'µs': 1e-6, ms: 1e-3, s: 1, sec: 1, secs: 1, second: 1, seconds: 1, m: 60, min: 60, mins: 60, minutes: 60, h: 3600, hours: 3600 },
+  size: { B: 1, bytes: 1, K: 1024, KB: 1024, KiB: 1024, M: 1024 ** 2, MB: 1024 ** 2, MiB: 1024 ** 2, G: 1024 ** 3, GB: 1024 ** 3, GiB: 1024 ** 3, T: 1024 ** 4, TB: 1024 ** 4 }
+};
+
+/**
+ * Parse "1.5s", "4.2M", "12 files", "1,234" or `time` output ("0m1.234s")
+ * into { number, unit }. Returns null when no number is present.
+ */
+function parseMeasurement(output, defaultUnit = '') {
+  const text = String(output === undefined || output === null ? '' : output).trim();
+
+  const time = text.match(/(\d+)m(\d+(?:\.\d+)?)s/);
+  if (time) {
+    return { number: parseInt(time[1], 10) * 60 + parseFloat(time[2]), unit: defaultUnit || 's' };
+  }
+
+  const match = text.match(/(-?\d[\d,]*(?:\.\d+)?)\s*([A-Za-zµ%]+)?/);
+  if (!match) return null;
+
+  return {
+    number: parseFloat(match[1].replace(/,/g, '')),
+    unit: match[2] || defaultUnit || ''
+  };
+}
+
+// Exact matches first so "m" (minutes) and "M" (megabytes) stay apart
+function unitScale(unit) {
+  const key = String(unit || '');
+  for (const matches of [(a, b) => a === b, (a, b) => a.toLowerCase() === b.toLowerCase()]) {
+    for (const [family, scales] of Object.entries(UNIT_FAMILIES)) {
+      const found = Object.keys(scales).find(name => matches(name, key));
+      if (found) return { family, scale: scales[found] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a threshold ("2s", "10MB", 500) into the unit of a measurement
+ */
+function toUnit(threshold, unit) {
+  if (typeof threshold === 'number') return threshold;
+
+  const parsed = parseMeasurement(threshold, unit);
+  if (!parsed) return NaN;
+
+  const from = unitScale(parsed.unit);
+  const to = unitScale(unit);
+  if (from && to && from.family === to.family) {
+    return Number((parsed.number * from.scale / to.scale).toPrecision(12));
+  }
+
+  return parsed.number;
+}
+
+function loadHistory(file = HISTORY_FILE) {
+  if (!fs.existsSync(file)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Append this run's measurements to the history file
+ */
+function saveHistory(history, benchmarks, options = {}) {
+  const file = options.file || HISTORY_FILE;
+  const limit = options.limit || MAX_HISTORY;
+  const timestamp = options.timestamp || new Date().toISOString();
+
+  for (const benchmark of benchmarks) {
+    if (typeof benchmark.number !== 'number' || Number.isNaN(benchmark.number)) continue;
+
+    const runs = history[benchmark.name] || [];
+    runs.push({ timestamp, value: benchmark.number, unit: benchmark.unit });
+    history[benchmark.name] = runs.slice(-limit);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(history, null, 2), 'utf8');
+
+  return history;
+}
+
+/**
+ * Compare a parsed measurement with its thresholds and previous runs.
+ *
+ * Config keys:
+ *   max / min            - absolute limits ("2s", "10MB" or a number in the benchmark's unit)
+ *   regression_tolerance - allowed change in percent against the mean of previous runs
+ *   regression_window    - how many previous runs make up that mean (default 5)
+ *   higher_is_better     - flip the direction for throughput-style metrics
+ */
+function evaluateBenchmark(measurement, config, previousRuns = []) {
+  const failures = [];
+  const analysis = { baseline: null, delta: null, trend: null, failures };
+
+  if (!measurement) {
+    if (config.max !== undefined || config.min !== undefined || config.regression_tolerance !== undefined) {
+      failures.push('Output is not a number');
+    }
+    return analysis;
+  }
+
+  const { number, unit } = measurement;
+
+  if (config.max !== undefined && number > toUnit(config.max, unit)) {
+    failures.push(`${number}${unit ? ` ${unit}` : ''} exceeds max ${config.max}`);
+  }
+  if (config.min !== undefined && number < toUnit(config.min, unit)) {
+    failures.push(`${number}${unit ? ` ${unit}` : ''} is below min ${config.min}`);
+  }
+
+  // Only compare against runs recorded in the same unit
+  const window = config.regression_window || 5;
+  const previous = previousRuns
+    .filter(run => !run.unit || !unit || run.unit === unit)
+    .slice(-window)
+    .map(run => run.value);
+
+  if (previous.length === 0) return analysis;
+
+  const baseline = previous.reduce((sum, value) => sum + value, 0) / previous.length;
+  analysis.baseline = baseline;
+  analysis.delta = baseline === 0 ? 0 : ((number - baseline) / Math.abs(baseline)) * 100;
+  analysis.trend = number > baseline ? 'up' : number < baseline ? 'down' : 'flat';
+
+  if (config.regression_tolerance !== undefined) {
+    const tolerance = Number(config.regression_tolerance);
+    const worse = config.higher_is_better ? -analysis.delta : analysis.delta;
+
+    if (worse > tolerance) {
+      failures.push(`Regressed ${Math.abs(analysis.delta).toFixed(1)}% against the last ${previous.length} run(s) (tolerance ${tolerance}%)`);
+    }
+  }
+
+  return analysis;
+}
+
+function formatTrend(benchmark) {
+  const arrows = { up: '↑', down: '↓', flat: '→' };
+  return arrows[benchmark.trend] || '—';
+}
+
+function formatDelta(benchmark) {
+  if (typeof benchmark.delta !== 'number') return '—';
+  const sign = benchmark.delta > 0 ? '+' : '';
+  return `${sign}${benchmark.delta.toFixed(1)}%`;
+}
+
+module.exports = {
+  HISTORY_FILE,
+  parseMeasurement,
+  toUnit,
+  loadHistory,
+  saveHistory,
+  evaluateBenchmark,
+  formatTrend,
+  formatDelta
+};
@@ -0,0 +1,86 @@
+/**
+ * DocTruth - Result Cache
+ * Reuses command results across runs while their declared inputs,
+ * configuration and environment stay the same
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { glob } = require('./glob');
+const { removeDir } = require('./examples');
+
+const CACHE_DIR = path.join('.doctruth', 'cache');
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Hash every file matched by the input globs (path and contents)
+ */
+function hashInputs(inputs, cwd = process.cwd()) {
+  const files = glob(inputs || [], { cwd, dot: true });
+  return files.map(file => [file, sha256(fs.readFileSync(path.join(cwd, file)))]);
+}
+
+/**
+ * Key for an item's result: its full configuration, the hashes of its
+ * inputs, the listed environment variables and the platform
+ */
+function cacheKey(item, options = {}) {
+  const env = [...new Set(options.env || [])].sort();
+
+  return sha256(JSON.stringify({
+    item,
+    inputs: hashInputs(item.inputs, options.cwd),
+    env: env.map(name => [name, process.env[name] ?? null]),
+    platform: process.platform
+  }));
+}
+
+// One file per item, so entries are replaced rather than piling up
+function entryFile(item, dir) {
+  const id = sha256(`${item.name}\0${item.type || 'command'}\0${item.command || ''}`).slice(0, 16);
+  return path.join(dir, `${id}.json`);
+}
+
+/**
+ * Cached execution for the item, or null when missing or stale
+ */
+function readCache(item, key, dir = CACHE_DIR) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(entryFile(item, dir), 'utf8'));
+    return entry.key === key ? entry.execution : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeCache(item, key, execution, dir = CACHE_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(entryFile(item, dir), JSON.stringify({
+    key,
+    name: item.name,
+    created: new Date().toISOString(),
+    execution
+  }, null, 2), 'utf8');
+}
+
+/**
+ * Remove every cache entry; returns how many were removed
+ */
+function clearCache(dir = CACHE_DIR) {
+  if (!fs.existsSync(dir)) return 0;
+
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.json'));
+  removeDir(dir);
+  return files.length;
+}
+
+module.exports = {
+  CACHE_DIR,
+  hashInputs,
+  cacheKey,
+  readCache,
+  writeCache,
+  clearCache
+};
@@ -0,0 +1,87 @@
+/**
+ * DocTruth - Claims
+ * Finds statements in the docs ("requires Node >= 18", "supports 12 commands")
+ * and compares them with what a truth source collected
+ *
+ *   supports <!-- doctruth:claim Commands -->12<!-- /doctruth:claim --> commands
+ */
+
+const { assertions, extractNumber } = require('./assertions');
+const { suggest } = require('./schema');
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Problems in the `claims:` section: invalid patterns and unknown sources
+ */
+function claimProblems(config) {
+  const names = (config.truth_sources || []).map(source => source.name);
+  const problems = [];
+
+  (config.claims || []).forEach((claim, index) => {
+    if (claim.pattern !== undefined) {
+      try {
+        new RegExp(claim.pattern, 'm');
+      } catch (error) {
+        problems.push({ where: `claims[${index}].pattern`, message: `Invalid pattern: ${error.message}`, reference: claim.pattern });
+      }
+    }
+
+    if (!names.includes(claim.source)) {
+      const suggestion = suggest(claim.source, names);
+      problems.push({
+        where: `claims[${index}].source`,
+        message: `Unknown source "${claim.source}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+        reference: claim.source
+      });
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * The claimed value in a document: { value, line } or null. With `pattern:`
+ * it is the `value` group, the first group or the whole match; with
+ * `marker:` the text between <!-- doctruth:claim Name --> and <!-- /doctruth:claim -->.
+ */
+function findClaim(content, claim) {
+  const pattern = claim.marker
+    ? new RegExp(`(?<open><!--\\s*doctruth:claim\\s+${escapeRegExp(claim.marker)}\\s*-->)(?<value>[\\s\\S]*?)<!--\\s*/doctruth:claim\\s*-->`)
+    : new RegExp(claim.pattern, 'm');
+  const match = content.match(pattern);
+  if (!match) return null;
+
+  const value = (match.groups && match.groups.value) ?? match[1] ?? match[0];
+  // A marker's value follows its opening comment; a pattern group is taken
+  // to be its last occurrence in the match
+  const offset = claim.marker ? match.groups.open.length : match[0].lastIndexOf(value);
+  return { value: value.trim(), line: content.slice(0, match.index + offset).split('\n').length };
+}
+
+/**
+ * Compare a claimed value with a source's output: { kind, expected, actual, passed }.
+ * Numeric comparisons read the source against the claim, so `gte` means
+ * "at least what the docs say".
+ */
+function compareClaim(claimed, output, compare = 'equals') {
+  const actual = String(output).trim();
+  let outcome;
+
+  if (compare === 'number') {
+    const value = extractNumber(actual);
+    outcome = { passed: !Number.isNaN(value) && value === extractNumber(claimed), actual: value };
+  } else if (compare === 'semver' || compare === 'equals') {
+    outcome = assertions[compare](claimed, { output: actual });
+  } else {
+    outcome = assertions[compare](extractNumber(claimed), { output: actual });
+  }
+
+  return { kind: compare, expected: claimed, actual: outcome.actual, passed: Boolean(outcome.passed) };
+}
+
+module.exports = {
+  claimProblems,
+  findClaim,
+  compareClaim
+};
@@ -0,0 +1,345 @@
+/**
+ * DocTruth - Truth Comparison
+ * Parses rendered truth files back into results and compares them structurally
+ */
+
+const { parseHTML } = require('./html');
+
+const SECTIONS = ['sources', 'validations', 'examples', 'benchmarks', 'platform'];
+
+const DEFAULT_VOLATILE_FIELDS = [
+  'meta.generated',
+  'meta.generationTime',
+  '*.duration',
+  // Cached results are the same truth, only collected earlier
+  '*.cached',
+  // Derived from local benchmark history, which differs between machines
+  'benchmarks.baseline',
+  'benchmarks.delta',
+  'benchmarks.trend'
+];
+
+/**
+ * Split a Markdown table row into cells, honouring escaped pipes
+ */
+function splitTableRow(line) {
+  const cells = [];
+  let current = '';
+
+  const body = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '\\' && body[i + 1] === '|') {
+      current += '|';
+      i++;
+    } else if (body[i] === '|') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += body[i];
+    }
+  }
+  cells.push(current.trim());
+
+  return cells;
+}
+
+/**
+ * Rebuild a results object from Markdown produced by toMarkdown()
+ */
+function parseMarkdown(content) {
+  const results = { meta: {} };
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+
+  let section = null;
+  let category = 'general';
+  let source = null;
+  let block = null;
+  let example = null;
+
+  for (const line of lines) {
+    // Fenced blocks belong to the current source or example list
+    if (block) {
+      if (line.startsWith('```')) {
+        if (source) {
+          source.output = block.join('\n').trim();
+          source = null;
+        }
+        block = null;
+        example = null;
+        continue;
+      }
+
+      if (source && source.command === undefined && line.startsWith('$ ')) {
+        source.command = line.substring(2);
+      } else if (source && source.command === undefined && /^# [\w-]+: /.test(line)) {
+        // Native source types are labelled "# type: description"
+        source.command = line.substring(2);
+        source.type = source.command.split(':')[0];
+      } else if (section === 'examples') {
+        if (example && line.startsWith('# Skipped: ')) {
+          example.skipped = line.substring('# Skipped: '.length);
+        } else if (example && line === '# ✅ Verified') {
+          Object.assign(example, { verified: true, passed: true, failure: null });
+        } else if (example && line.startsWith('# ❌ Failed: ')) {
+          Object.assign(example, { verified: true, passed: false, failure: line.substring('# ❌ Failed: '.length) });
+        } else if (example && example.verified && /^# >( |$)/.test(line)) {
+          const text = line.substring(4);
+          example.excerpt = example.excerpt === undefined ? text : `${example.excerpt}\n${text}`;
+        } else if (line.startsWith('# ')) {
+          if (example && example.command === '' && !example.description) {
+            example.description = line.substring(2);
+          } else {
+            example = { name: line.substring(2), description: '', command: '' };
+            results.examples.push(example);
+          }
+        } else if (example && line.trim() !== '') {
+          example.command = example.command ? `${example.command}\n${line}` : line;
+        }
+      } else {
+        block.push(line);
+      }
+      continue;
+    }
+
+    if (line.startsWith('```')) {
+      block = [];
+      continue;
+    }
+
+    if (line.startsWith('# ')) {
+      results.meta.project = line.substring(2).replace(/ - Current Truth$/, '');
+    } else if (line.startsWith('Generated: ')) {
+      results.meta.generated = line.substring('Generated: '.length);
+    } else if (line.startsWith('Generation Time: ')) {
+      results.meta.generationTime = line.substring('Generation Time: '.length);
+    } else if (line.startsWith('## ')) {
+      const title = line.substring(3);
+      section = null;
+
+      if (title === 'Project State') {
+        section = 'sources';
+        results.sources = [];
+        category = 'general';
+      } else if (title === 'Validation Results') {
+        section = 'validations';
+        results.validations = [];
+      } else if (title === 'Working Examples') {
+        section = 'examples';
+        results.examples = [];
+      } else if (title === 'Performance Metrics') {
+        section = 'benchmarks';
+        results.benchmarks = [];
+      } else if (title === 'Environment') {
+        section = 'platform';
+        results.platform = [];
+      }
+    } else if (section === 'sources' && line.startsWith('### ')) {
+      category = line.substring(4);
+    } else if (section === 'sources' && line.startsWith('#### ')) {
+      let heading = line.substring(5).replace(/ \[SKIPPED\]$/, '');
+      const cached = heading.endsWith(' [CACHED]');
+      if (cached) heading = heading.slice(0, -' [CACHED]'.length);
+
+      const essential = heading.endsWith(' [ESSENTIAL]');
+      source = {
+        name: essential ? heading.slice(0, -' [ESSENTIAL]'.length) : heading,
+        category,
+        essential,
+        output: ''
+      };
+      if (cached) source.cached = true;
+      results.sources.push(source);
+    } else if (section === 'sources' && source && /^\*Skipped: .*\*$/.test(line)) {
+      source.skipped = line.slice('*Skipped: '.length, -1);
+      source = null;
+    } else if ((section === 'validations' || section === 'benchmarks') && line.startsWith('|')) {
+      const cells = splitTableRow(line);
+
+      // Skip header and separator rows
+      if (cells.every(cell => /^-*$/.test(cell)) || ['Status', 'Metric'].includes(cells[0])) {
+        continue;
+      }
+
+      if (section === 'validations' && cells[0] === '⏭️') {
+        results.validations.push({
+          name: cells[1],
+          passed: null,
+          skipped: cells[2].replace(/^Skipped: /, ''),
+          required: cells[3] === 'Yes'
+        });
+      } else if (section === 'validations') {
+        results.validations.push({
+          name: cells[1],
+          passed: cells[0] === '✅',
+          output: cells[2],
+          required: cells[3] === 'Yes'
+        });
+      } else {
+        results.benchmarks.push({ name: cells[0], value: cells[1] });
+      }
+    } else if (section === 'platform' && line.startsWith('- **')) {
+      const match = line.match(/^- \*\*(.+?)\*\*: ?(.*)$/);
+      if (match) {
+        results.platform.push({ name: match[1], value: match[2] });
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Turn a rendered truth file back into a results object
+ */
+function parseTruth(content, format = 'markdown') {
+  if (format === 'json') {
+    return JSON.parse(content);
+  }
+
+  if (format === 'markdown') {
+    return parseMarkdown(content);
+  }
+
+  if (format === 'html') {
+    return parseHTML(content);
+  }
+
+  // Formats without a parser are compared as whole documents
+  return { meta: {}, document: content };
+}
+
+function toRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern, 'g');
+}
+
+/**
+ * Apply ignore patterns to a value so volatile fragments compare equal
+ */
+function normalize(value, patterns) {
+  if (typeof value === 'string') {
+    return patterns.reduce((text, pattern) => text.replace(toRegExp(pattern), '<ignored>'), value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => normalize(item, patterns));
+  }
+
+  if (value && typeof value === 'object') {
+    const normalized = {};
+    for (const key of Object.keys(value)) {
+      normalized[key] = normalize(value[key], patterns);
+    }
+    return normalized;
+  }
+
+  return value;
+}
+
+function isVolatile(section, field, volatileFields) {
+  return volatileFields.includes(`${section}.${field}`) ||
+    volatileFields.includes(`*.${field}`) ||
+    volatileFields.includes(field);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compare two results objects and list what changed per named item.
+ *
+ * Options:
+ *   volatileFields - 'meta.generated', 'sources.duration', '*.duration' or a bare field name
+ *   ignorePatterns - regular expressions whose matches are ignored in any string
+ *   volatileItems  - { section: [names] } whose values are never compared
+ */
+function compareResults(before, after, options = {}) {
+  const volatileFields = [...DEFAULT_VOLATILE_FIELDS, ...(options.volatileFields || [])];
+  const patterns = options.ignorePatterns || [];
+  const volatileItems = options.volatileItems || {};
+  const changes = [];
+
+  const oldResults = normalize(before || {}, patterns);
+  const newResults = normalize(after || {}, patterns);
+
+  // Meta fields such as the project name
+  const metaKeys = new Set([
+    ...Object.keys(oldResults.meta || {}),
+    ...Object.keys(newResults.meta || {})
+  ]);
+  for (const key of metaKeys) {
+    if (isVolatile('meta', key, volatileFields)) continue;
+
+    const oldValue = (oldResults.meta || {})[key];
+    const newValue = (newResults.meta || {})[key];
+    if (!sameValue(oldValue, newValue)) {
+      changes.push({ type: 'changed', section: 'meta', name: key, before: oldValue, after: newValue });
+    }
+  }
+
+  if (oldResults.document !== undefined || newResults.document !== undefined) {
+    // Templates may put the generation timestamp anywhere; JUnit and TAP reports carry durations
+    const strip = text => (text || '').split('\n')
+      .filter(line => !/^(<p>)?(Generated|Generation Time): /.test(line) && !/^\s*duration_ms: /.test(line))
+      .join('\n')
+      .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '<timestamp>')
+      .replace(/ time="[\d.]+"/g, '');
+
+    if (strip(oldResults.document) !== strip(newResults.document)) {
+      changes.push({ type: 'changed', section: 'document', name: 'document' });
+    }
+    return changes;
+  }
+
+  for (const section of SECTIONS) {
+    const oldItems = oldResults[section] || [];
+    const newItems = newResults[section] || [];
+    const skipped = volatileItems[section] || [];
+    const oldByName = new Map(oldItems.map(item => [item.name, item]));
+    const newByName = new Map(newItems.map(item => [item.name, item]));
+
+    for (const item of oldItems) {
+      if (!newByName.has(item.name)) {
+        changes.push({ type: 'removed', section, name: item.name, before: item });
+      }
+    }
+
+    for (const item of newItems) {
+      const previous = oldByName.get(item.name);
+
+      if (!previous) {
+        changes.push({ type: 'added', section, name: item.name, after: item });
+        continue;
+      }
+
+      if (skipped.includes(item.name)) continue;
+
+      const fields = new Set([...Object.keys(previous), ...Object.keys(item)]);
+      for (const field of fields) {
+        if (field === 'name' || isVolatile(section, field, volatileFields)) continue;
+
+        if (!sameValue(previous[field], item[field])) {
+          changes.push({
+            type: 'changed',
+            section,
+            name: item.name,
+            field,
+            before: previous[field],
+            after: item[field]
+          });
+        }
+      }
+    }
+  }
+
+  return changes;
+}
+
+module.exports = {
+  parseTruth,
+  parseMarkdown,
+  compareResults,
+  normalize,
+  splitTableRow,
+  DEFAULT_VOLATILE_FIELDS
+};
@@ -0,0 +1,114 @@
+/**
+ * DocTruth - Conditions
+ * `when:` clauses that skip items on other platforms, without a file or
+ * environment variable, or depending on another source's result, and
+ * per-platform `command:` maps
+ */
+
+const fs = require('fs');
+const { hasAssertions, evaluateAssertions, describeFailure } = require('./assertions');
+
+const PLATFORMS = ['aix', 'darwin', 'freebsd', 'linux', 'openbsd', 'sunos', 'win32'];
+
+const asList = value => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Each condition returns null when it holds, or why it doesn't
+ */
+const conditions = {
+  // "linux", ["linux", "darwin"] or "!win32"
+  platform: (expected, context) => {
+    const list = asList(expected).map(String);
+    const excluded = list.filter(p => p.startsWith('!')).map(p => p.slice(1));
+    const included = list.filter(p => !p.startsWith('!'));
+
+    if (excluded.includes(context.platform) || (included.length > 0 && !included.includes(context.platform))) {
+      return `not on ${context.platform}`;
+    }
+    return null;
+  },
+
+  file_exists: expected => {
+    const missing = asList(expected).find(file => !fs.existsSync(String(file)));
+    return missing !== undefined ? `${missing} not found` : null;
+  },
+
+  // A name (or list) that must be set, or { NAME: value } to compare
+  env: (expected, context) => {
+    if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+      for (const [name, value] of Object.entries(expected)) {
+        if (context.env[name] !== String(value)) {
+          return context.env[name] ? `$${name} is not "${value}"` : `$${name} is not set`;
+        }
+      }
+      return null;
+    }
+
+    const unset = asList(expected).find(name => !context.env[name]);
+    return unset !== undefined ? `$${unset} is not set` : null;
+  },
+
+  // A source name (must succeed) or { name, ...assertions } on its result
+  source: (expected, context) => {
+    const { name, ...spec } = typeof expected === 'string' ? { name: expected } : expected;
+    const result = context.sources.get(name);
+
+    if (!result) return `source "${name}" did not run`;
+    if (result.skipped) return `source "${name}" was skipped`;
+    if (!hasAssertions(spec)) {
+      return context.isError(result) ? `source "${name}" failed` : null;
+    }
+
+    const failed = evaluateAssertions(spec, {
+      output: result.output || '',
+      stderr: result.stderr || '',
+      exitCode: result.exitCode
+    }).filter(assertion => !assertion.passed);
+    return failed.length > 0 ? `source "${name}" doesn't match (${failed.map(describeFailure).join('; ')})` : null;
+  }
+};
+
+/**
+ * Why an item is skipped, or null when every condition holds.
+ * context: { platform, env, sources (Map of results by name), isError }
+ */
+function checkWhen(when, context) {
+  if (!when) return null;
+
+  for (const [key, expected] of Object.entries(when)) {
+    if (!conditions[key]) {
+      throw new Error(`Unknown condition "${key}"`);
+    }
+
+    const reason = conditions[key](expected, context);
+    if (reason) return reason;
+  }
+
+  return null;
+}
+
+/**
+ * Name of the source a `when:` clause depends on, if any
+ */
+function whenSource(when) {
+  if (!when || !when.source) return null;
+  return typeof when.source === 'string' ? when.source : when.source.name;
+}
+
+/**
+ * The command for this platform from a `command:` map keyed by platform
+ * (falling back to `default`). Plain strings are returned as they are;
+ * undefined means the map has nothing for this platform.
+ */
+function platformCommand(command, platform = process.platform) {
+  if (!command || typeof command !== 'object') return command;
+  return command[platform] ?? command.default;
+}
+
+module.exports = {
+  PLATFORMS,
+  conditions,
+  checkWhen,
+  whenSource,
+  platformCommand
+};
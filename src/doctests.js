@@ -0,0 +1,231 @@
+/**
+ * DocTruth - Doc Tests
+ * Finds runnable shell snippets in Markdown files and checks that they still
+ * print what the docs say they print
+ *
+ *   <!-- doctruth:test -->
+ *   ```bash
+ *   $ echo hello
+ *   hello
+ *   ```
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { assertions } = require('./assertions');
+
+const SHELL_LANGUAGES = ['bash', 'sh', 'shell', 'console'];
+const MARKER = /^\s*<!--\s*doctruth:(test|skip)\b\s*(.*?)\s*-->\s*$/;
+const FENCE = /^\s*(`{3,}|~{3,})\s*([^`\s]*)(.*)$/;
+// "# => text" after a command in a plain script block
+const ANNOTATION = /^#\s*=>\s?(.*)$/;
+// Printed after every command so the output can be split per command
+const SEPARATOR = '__DOCTRUTH_DOCTEST__';
+const WILDCARD = '...';
+
+/**
+ * Parse the options of a doctruth:test marker, e.g. "{ contains: ok }"
+ */
+function parseMarkerOptions(text) {
+  if (!text) return {};
+
+  const options = yaml.load(text);
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`Expected a mapping, got "${text}"`);
+  }
+
+  const unknown = Object.keys(options).find(key => !(key in assertions));
+  if (unknown) {
+    throw new Error(`Unknown assertion "${unknown}"`);
+  }
+
+  return options;
+}
+
+/**
+ * Commands in a snippet with the output shown for them. Blocks with "$ "
+ * prompts are sessions; anything else is one script whose expected output
+ * comes from "# => " annotations. Expected output is null when none is shown.
+ */
+function parseCommands(lines, firstLine) {
+  if (!lines.some(line => line.startsWith('$ '))) {
+    const expected = lines.map(line => line.match(ANNOTATION)).filter(Boolean).map(match => match[1]);
+    return [{ line: firstLine, command: lines.join('\n'), expected: expected.length > 0 ? expected.join('\n') : null }];
+  }
+
+  const commands = [];
+  let current = null;
+  let continued = false;
+
+  lines.forEach((line, index) => {
+    if (continued) {
+      current.command += `\n${line.replace(/^> /, '')}`;
+    } else if (line.startsWith('$ ')) {
+      current = { line: firstLine + index, command: line.substring(2), output: [] };
+      commands.push(current);
+    } else if (current) {
+      current.output.push(line);
+    }
+    continued = Boolean(current) && current.output.length === 0 && /\\$/.test(line);
+  });
+
+  return commands.map(({ output, ...command }) => {
+    const shown = output.join('\n').trim();
+    return { ...command, expected: shown ? shown : null };
+  });
+}
+
+/**
+ * Shell snippets in a Markdown document: { snippets, errors }. A snippet
+ * runs when it is marked with <!-- doctruth:test --> or a "doctest" info
+ * word, or with `all` unless it is marked <!-- doctruth:skip -->.
+ * Line numbers are 1-based and point at the opening fence.
+ */
+function findSnippets(content, { all = false } = {}) {
+  const lines = content.split(/\r?\n/);
+  const snippets = [];
+  const errors = [];
+  let marker = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const markerMatch = lines[i].match(MARKER);
+    if (markerMatch) {
+      marker = { type: markerMatch[1], options: markerMatch[2], line: i + 1 };
+      continue;
+    }
+
+    const fence = lines[i].match(FENCE);
+    if (!fence) {
+      if (lines[i].trim() !== '') marker = null;
+      continue;
+    }
+
+    const close = new RegExp(`^\\s*${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+    const start = i;
+    const body = [];
+    for (i++; i < lines.length && !close.test(lines[i]); i++) {
+      body.push(lines[i]);
+    }
+    if (i === lines.length) {
+      errors.push({ line: start + 1, message: 'Unclosed code block' });
+    }
+
+    const language = fence[2].toLowerCase();
+    const info = fence[3].trim().split(/\s+/);
+    const applied = marker;
+    marker = null;
+
+    if (!SHELL_LANGUAGES.includes(language)) {
+      if (applied && applied.type === 'test') {
+        errors.push({ line: applied.line, message: `doctruth:test marks a ${language || 'plain'} block, not a shell snippet` });
+      }
+      continue;
+    }
+
+    const marked = (applied && applied.type === 'test') || info.includes('doctest');
+    const skipped = applied && applied.type === 'skip';
+    if (!marked && (!all || skipped)) continue;
+
+    let options = {};
+    try {
+      options = parseMarkerOptions(applied && applied.type === 'test' ? applied.options : '');
+    } catch (error) {
+      errors.push({ line: applied.line, message: `Invalid doctruth:test options: ${error.message}` });
+      continue;
+    }
+
+    snippets.push({ line: start + 1, language, options, commands: parseCommands(body, start + 2) });
+  }
+
+  return { snippets, errors };
+}
+
+/**
+ * One shell script for a snippet's commands. Each command's output includes
+ * its stderr, as in a terminal, and is followed by a separator with its exit code.
+ */
+function buildScript(commands) {
+  return commands
+    .map(({ command }) => `{\n${command}\n} 2>&1\nprintf '\\n${SEPARATOR} %s\\n' "$?"`)
+    .join('\n');
+}
+
+/**
+ * The bash that runs snippets, whatever the platform's default shell:
+ * /bin/bash, Git for Windows' bash, or bash on the PATH. Null if there is none.
+ */
+function findBash(env = process.env) {
+  const isWindows = process.platform === 'win32';
+  const candidates = isWindows
+    ? [path.join(env.ProgramFiles || 'C:\\Program Files', 'Git', 'bin', 'bash.exe')]
+    : ['/bin/bash'];
+  const dirs = (env.PATH || env.Path || '').split(path.delimiter).filter(Boolean);
+  candidates.push(...dirs.map(dir => path.join(dir, isWindows ? 'bash.exe' : 'bash')));
+
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Split a script's output back into [{ output, exitCode }] per command that
+ * ran. A command that ended the shell (with `exit`) has no separator; it gets
+ * the rest of the output and the shell's exit code.
+ */
+function splitOutput(text, count, exitCode = null) {
+  const parts = text.split(new RegExp(`\\n?${SEPARATOR} (\\d+)(?:\\n|$)`));
+  const results = [];
+
+  for (let i = 0; i + 1 < parts.length; i += 2) {
+    results.push({ output: parts[i], exitCode: Number(parts[i + 1]) });
+  }
+
+  if (results.length < count && exitCode !== null) {
+    results.push({ output: parts[parts.length - 1], exitCode });
+  }
+
+  return results;
+}
+
+function normalizeOutput(text) {
+  return String(text).split(/\r?\n/).map(line => line.trimEnd()).join('\n').trim();
+}
+
+/**
+ * Whether output matches what the docs show. A line of "..." stands for any
+ * number of lines and a line ending in "..." for the rest of that line.
+ */
+function matchOutput(expected, actual) {
+  const want = normalizeOutput(expected).split('\n');
+  const got = normalizeOutput(actual).split('\n');
+
+  const match = (i, j) => {
+    if (i === want.length) return j === got.length;
+
+    if (want[i].trim() === WILDCARD) {
+      for (let k = j; k <= got.length; k++) {
+        if (match(i + 1, k)) return true;
+      }
+      return false;
+    }
+
+    if (j === got.length) return false;
+
+    const same = want[i].endsWith(WILDCARD)
+      ? got[j].startsWith(want[i].slice(0, -WILDCARD.length))
+      : got[j] === want[i];
+    return same && match(i + 1, j + 1);
+  };
+
+  return match(0, 0);
+}
+
+module.exports = {
+  SHELL_LANGUAGES,
+  findSnippets,
+  parseCommands,
+  buildScript,
+  findBash,
+  splitOutput,
+  matchOutput,
+  normalizeOutput
+};
@@ -0,0 +1,85 @@
+/**
+ * DocTruth - Example Verification
+ * Runs working examples in a throwaway copy of the project and keeps an
+ * excerpt of what they printed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Not copied into the sandbox; node_modules is linked instead
+const SKIPPED = ['.git', '.doctruth', 'node_modules'];
+const EXCERPT_LINES = 5;
+
+/**
+ * Copy a directory tree, recreating symlinks rather than following them
+ * (fs.cpSync needs Node 16.7)
+ */
+function copyDir(source, target, skipped = []) {
+  fs.mkdirSync(target, { recursive: true });
+
+  for (const entry of fs.readdirSync(source, { withFileTypes: true })) {
+    if (skipped.includes(entry.name)) continue;
+
+    const from = path.join(source, entry.name);
+    const to = path.join(target, entry.name);
+
+    if (entry.isDirectory()) {
+      copyDir(from, to, skipped);
+    } else if (entry.isSymbolicLink()) {
+      fs.symlinkSync(fs.readlinkSync(from), to);
+    } else if (entry.isFile()) {
+      fs.copyFileSync(from, to);
+    }
+  }
+}
+
+/**
+ * Remove a directory tree if it exists (fs.rmSync needs Node 14.14)
+ */
+function removeDir(dir) {
+  if (!fs.existsSync(dir)) return;
+
+  if (fs.rmSync) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  } else {
+    fs.rmdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Copy a project directory to a temporary one. Returns { dir, remove }.
+ */
+function createSandbox(source = process.cwd()) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-example-'));
+
+  copyDir(source, dir, SKIPPED);
+
+  const modules = path.join(source, 'node_modules');
+  if (fs.existsSync(modules)) {
+    fs.symlinkSync(modules, path.join(dir, 'node_modules'), 'junction');
+  }
+
+  return {
+    dir,
+    remove: () => removeDir(dir)
+  };
+}
+
+/**
+ * The first lines of a text, noting how many were left out
+ */
+function excerpt(text, lines = EXCERPT_LINES) {
+  const all = String(text || '').split('\n');
+  if (all.length <= lines) return all.join('\n');
+
+  return [...all.slice(0, lines), `… (${all.length - lines} more lines)`].join('\n');
+}
+
+module.exports = {
+  createSandbox,
+  removeDir,
+  excerpt,
+  EXCERPT_LINES
+};
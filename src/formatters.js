@@ -0,0 +1,59 @@
+/**
+ * DocTruth - Formatters
+ * Output formats by name; plugins can add their own
+ */
+
+const { renderJUnit, renderTAP } = require('./reports');
+
+/**
+ * Built-in formats. A formatter renders the collected results to a string
+ * and may provide parse(content), turning a saved file back into results so
+ * --check can compare it structurally.
+ */
+const formatters = {
+  markdown: { render: (results, doctruth) => doctruth.toMarkdown() },
+  json: { render: (results, doctruth) => doctruth.toJSON() },
+  html: { render: (results, doctruth) => doctruth.toHTML() },
+  junit: { render: (results, doctruth) => renderJUnit(doctruth) },
+  tap: { render: (results, doctruth) => renderTAP(doctruth) }
+};
+
+/**
+ * Register an output format (used by plugins). Accepts a render function
+ * or an object with render() and an optional parse().
+ */
+function registerFormatter(name, formatter) {
+  const entry = typeof formatter === 'function' ? { render: formatter } : formatter;
+  if (!entry || typeof entry.render !== 'function') {
+    throw new Error(`Formatter "${name}" must be a function or have a render() function`);
+  }
+  formatters[name] = entry;
+}
+
+function getFormatter(name) {
+  const formatter = formatters[name];
+  if (!formatter) {
+    throw new Error(`Unknown format "${name}" (available: ${Object.keys(formatters).join(', ')})`);
+  }
+  return formatter;
+}
+
+/**
+ * Problems with the formats named in `outputs:`
+ */
+function outputProblems(outputs = []) {
+  return outputs.flatMap((output, index) => (output.format && !formatters[output.format]
+    ? [{
+      where: `outputs[${index}].format`,
+      message: `Unknown format "${output.format}" (available: ${Object.keys(formatters).join(', ')})`,
+      reference: output.format
+    }]
+    : []));
+}
+
+module.exports = {
+  formatters,
+  registerFormatter,
+  getFormatter,
+  outputProblems
+};
@@ -0,0 +1,143 @@
+/**
+ * DocTruth - Glob
+ * Small, dependency-free file globbing: **, *, ?, [abc], {a,b} and !negation
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_IGNORE = ['**/node_modules/**', '**/.git/**'];
+
+/**
+ * Convert a glob pattern into a regular expression over posix paths
+ */
+function globToRegExp(pattern) {
+  let regex = '';
+  let inGroup = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches any number of directories, including none
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else {
+        regex += '[^/]*';
+      }
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      if (end === -1) {
+        regex += '\\[';
+      } else {
+        regex += `[${pattern.slice(i + 1, end).replace(/^!/, '^')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      inGroup++;
+      regex += '(?:';
+    } else if (char === '}' && inGroup > 0) {
+      inGroup--;
+      regex += ')';
+    } else if (char === ',' && inGroup > 0) {
+      regex += '|';
+    } else {
+      regex += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
+
+/**
+ * Whether a relative path matches any of the patterns
+ */
+function matches(file, patterns) {
+  const posix = toPosix(file);
+  return [].concat(patterns).some(pattern => globToRegExp(pattern.replace(/^\.\//, '')).test(posix));
+}
+
+function hasMagic(pattern) {
+  return /[*?[{]/.test(pattern);
+}
+
+/**
+ * Find files (or directories) under cwd matching the patterns.
+ * Patterns starting with "!" exclude matches. Results are sorted posix paths.
+ */
+function glob(patterns, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const list = [].concat(patterns).filter(Boolean);
+  const include = list.filter(p => !p.startsWith('!')).map(p => p.replace(/^\.\//, ''));
+  const exclude = [
+    ...list.filter(p => p.startsWith('!')).map(p => p.slice(1)),
+    ...(options.ignore || DEFAULT_IGNORE)
+  ];
+  const wantDirectories = Boolean(options.directories);
+  const dot = Boolean(options.dot);
+  const found = new Set();
+
+  // Literal paths don't need a directory walk
+  const literals = include.filter(p => !hasMagic(p));
+  for (const literal of literals) {
+    const full = path.join(cwd, literal);
+    if (fs.existsSync(full) && fs.statSync(full).isDirectory() === wantDirectories && !matches(literal, exclude)) {
+      found.add(toPosix(path.normalize(literal)));
+    }
+  }
+
+  const magic = include.filter(hasMagic).map(globToRegExp);
+  if (magic.length > 0) {
+    const excluded = exclude.map(globToRegExp);
+    const isExcluded = rel => excluded.some(regex => regex.test(rel) || regex.test(`${rel}/`));
+
+    const walk = dir => {
+      let entries;
+      try {
+        entries = fs.readdirSync(path.join(cwd, dir), { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (!dot && entry.name.startsWith('.')) continue;
+
+        const rel = dir ? `${dir}/${entry.name}` : entry.name;
+        if (isExcluded(rel)) continue;
+
+        const isDirectory = entry.isDirectory();
+        if (isDirectory === wantDirectories && magic.some(regex => regex.test(rel))) {
+          found.add(rel);
+        }
+        if (isDirectory && !entry.isSymbolicLink()) {
+          walk(rel);
+        }
+      }
+    };
+
+    walk('');
+  }
+
+  return [...found].sort();
+}
+
+module.exports = {
+  glob,
+  globToRegExp,
+  matches,
+  hasMagic,
+  toPosix,
+  DEFAULT_IGNORE
+};
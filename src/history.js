@@ -0,0 +1,209 @@
+/**
+ * DocTruth - Snapshot History
+ * Stores every generated result set under .doctruth/history and diffs any two of them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const chalk = require('chalk');
+const { compareResults } = require('./compare');
+
+const HISTORY_DIR = path.join('.doctruth', 'history');
+const DEFAULT_LIMIT = 100;
+
+function gitCommit(cwd = process.cwd()) {
+  try {
+    return execFileSync('git', ['rev-parse', '--short', 'HEAD'], {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      windowsHide: true
+    }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write a snapshot and prune the oldest ones beyond `limit`
+ */
+function saveSnapshot(results, errors = [], options = {}) {
+  const dir = options.dir || HISTORY_DIR;
+  const limit = options.limit === undefined ? DEFAULT_LIMIT : options.limit;
+  const timestamp = (results.meta && results.meta.generated) || new Date().toISOString();
+  const commit = options.commit === undefined ? gitCommit() : options.commit;
+
+  // Sortable, filesystem-safe id: 20250928T101500123Z-abc1234
+  const id = timestamp.replace(/[-:.]/g, '') + (commit ? `-${commit}` : '');
+  const snapshot = { id, timestamp, commit, project: results.meta && results.meta.project, results, errors };
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(snapshot, null, 2), 'utf8');
+
+  const ids = listSnapshots(dir).map(s => s.id);
+  for (const old of ids.slice(0, Math.max(0, ids.length - limit))) {
+    fs.unlinkSync(path.join(dir, `${old}.json`));
+  }
+
+  return snapshot;
+}
+
+function readSnapshot(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * List snapshots, oldest first
+ */
+function listSnapshots(dir = HISTORY_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const id = file.slice(0, -'.json'.length);
+      const [, commit] = id.split('-');
+      return { id, commit: commit || null, file: path.join(dir, file) };
+    });
+}
+
+/**
+ * Find a snapshot by id (or unique id prefix), commit prefix,
+ * "latest", "previous" or "latest~N"
+ */
+function loadSnapshot(ref, dir = HISTORY_DIR) {
+  const snapshots = listSnapshots(dir);
+  if (snapshots.length === 0) {
+    throw new Error(`No snapshots found in ${dir}`);
+  }
+
+  const relative = String(ref).match(/^(latest|previous)(?:~(\d+))?$/);
+  if (relative) {
+    const offset = (relative[1] === 'previous' ? 1 : 0) + parseInt(relative[2] || '0', 10);
+    const entry = snapshots[snapshots.length - 1 - offset];
+    if (!entry) {
+      throw new Error(`Only ${snapshots.length} snapshot(s) available`);
+    }
+    return readSnapshot(entry.file);
+  }
+
+  const byId = snapshots.filter(s => s.id.startsWith(ref));
+  if (byId.length === 1) {
+    return readSnapshot(byId[0].file);
+  }
+  if (byId.length > 1) {
+    throw new Error(`Snapshot reference "${ref}" is ambiguous (${byId.length} matches)`);
+  }
+
+  // The newest snapshot taken at a matching commit
+  const byCommit = snapshots.filter(s => s.commit && (s.commit.startsWith(ref) || String(ref).startsWith(s.commit)));
+  if (byCommit.length > 0) {
+    return readSnapshot(byCommit[byCommit.length - 1].file);
+  }
+
+  throw new Error(`Snapshot not found: ${ref}`);
+}
+
+function diffSnapshots(a, b, options = {}) {
+  return compareResults(a.results, b.results, options);
+}
+
+/**
+ * Every snapshot in which a named source's output differs from the one before
+ */
+function sourceTimeline(name, dir = HISTORY_DIR) {
+  const timeline = [];
+  let previous;
+
+  for (const entry of listSnapshots(dir)) {
+    const snapshot = readSnapshot(entry.file);
+    const source = (snapshot.results.sources || []).find(s => s.name === name);
+    const output = source ? source.output : undefined;
+
+    if (timeline.length === 0 || output !== previous) {
+      timeline.push({ id: snapshot.id, timestamp: snapshot.timestamp, commit: snapshot.commit, output });
+    }
+    previous = output;
+  }
+
+  return timeline;
+}
+
+function lineDiff(before, after) {
+  const oldLines = String(before ?? '').split('\n');
+  const newLines = String(after ?? '').split('\n');
+  const removed = oldLines.filter(line => !newLines.includes(line));
+  const added = newLines.filter(line => !oldLines.includes(line));
+  return { removed, added };
+}
+
+/**
+ * Render a list of changes for the terminal or as Markdown
+ */
+function formatDiff(changes, a, b, options = {}) {
+  const markdown = options.markdown;
+  const out = [];
+  const label = s => `${s.id}${s.commit ? ` (${s.commit})` : ''}`;
+
+  if (markdown) {
+    out.push(`# Truth diff: ${label(a)} → ${label(b)}`);
+    out.push('');
+  } else {
+    out.push(chalk.bold(`Truth diff: ${label(a)} → ${label(b)}`));
+  }
+
+  if (changes.length === 0) {
+    out.push(markdown ? '_No changes._' : 'No changes.');
+    return out.join('\n');
+  }
+
+  let section = null;
+  for (const change of changes) {
+    if (change.section !== section) {
+      section = change.section;
+      if (markdown) {
+        if (out[out.length - 1] !== '') out.push('');
+        out.push(`## ${section}`, '');
+      } else {
+        out.push('', chalk.underline(section));
+      }
+    }
+
+    const field = change.field ? ` (${change.field})` : '';
+    const title = `${change.name}${field}`;
+
+    if (change.type !== 'changed') {
+      out.push(markdown ? `- **${title}**: ${change.type}` : `  ${change.type === 'added' ? chalk.green('+') : chalk.red('-')} ${title} ${change.type}`);
+      continue;
+    }
+
+    const { removed, added } = lineDiff(change.before, change.after);
+
+    if (markdown) {
+      out.push(`### ${title}`);
+      out.push('```diff');
+      removed.forEach(line => out.push(`- ${line}`));
+      added.forEach(line => out.push(`+ ${line}`));
+      out.push('```');
+    } else {
+      out.push(`  ${chalk.yellow('~')} ${title}`);
+      removed.forEach(line => out.push(chalk.red(`    - ${line}`)));
+      added.forEach(line => out.push(chalk.green(`    + ${line}`)));
+    }
+  }
+
+  return out.join('\n');
+}
+
+module.exports = {
+  HISTORY_DIR,
+  gitCommit,
+  saveSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  diffSnapshots,
+  sourceTimeline,
+  formatDiff
+};
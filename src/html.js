@@ -0,0 +1,291 @@
+/**
+ * DocTruth - HTML Report
+ * Renders results as a self-contained HTML page (inline styles, no external assets)
+ */
+
+const path = require('path');
+const { formatTrend, formatDelta } = require('./benchmarks');
+
+// The results are embedded so --check can read an HTML report back
+const DATA_ID = 'doctruth-results';
+
+const STYLES = `
+    :root { --fg: #1f2328; --muted: #656d76; --bg: #ffffff; --panel: #f6f8fa; --border: #d0d7de; --pass: #1a7f37; --fail: #cf222e; --warn: #9a6700; }
+    @media (prefers-color-scheme: dark) {
+      :root { --fg: #e6edf3; --muted: #8d96a0; --bg: #0d1117; --panel: #161b22; --border: #30363d; --pass: #3fb950; --fail: #f85149; --warn: #d29922; }
+    }
+    * { box-sizing: border-box; }
+    body { margin: 0; color: var(--fg); background: var(--bg); font: 15px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+    .container { max-width: 1100px; margin: 0 auto; padding: 24px; }
+    h1 { margin-bottom: 4px; }
+    h2 { border-bottom: 1px solid var(--border); padding-bottom: 6px; margin-top: 40px; }
+    a { color: inherit; }
+    .meta { color: var(--muted); margin: 0 0 16px; }
+    .summary { display: flex; flex-wrap: wrap; gap: 8px; }
+    .badge { display: inline-block; padding: 1px 8px; border-radius: 999px; font-size: 12px; font-weight: 600; border: 1px solid var(--border); color: var(--muted); }
+    .badge.pass { color: var(--pass); border-color: var(--pass); }
+    .badge.fail { color: var(--fail); border-color: var(--fail); }
+    .badge.warn { color: var(--warn); border-color: var(--warn); }
+    nav.toc { background: var(--panel); border: 1px solid var(--border); border-radius: 6px; padding: 12px 20px; margin: 20px 0; }
+    nav.toc ul { margin: 4px 0; padding-left: 20px; }
+    details.source { border: 1px solid var(--border); border-left: 4px solid var(--pass); border-radius: 6px; margin: 8px 0; background: var(--panel); }
+    details.source.fail { border-left-color: var(--fail); }
+    details.source summary { cursor: pointer; padding: 8px 12px; font-weight: 600; }
+    details.source summary .badge { margin-left: 6px; }
+    pre { margin: 0; padding: 12px 16px; overflow-x: auto; background: var(--panel); border-top: 1px solid var(--border); font: 13px/1.45 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+    .examples pre { border: 1px solid var(--border); border-radius: 6px; }
+    .examples pre.excerpt { margin-top: 6px; color: var(--muted); }
+    .examples .failure { color: var(--fail); }
+    .command { color: var(--muted); }
+    table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+    th, td { padding: 8px 10px; text-align: left; border-bottom: 1px solid var(--border); vertical-align: top; }
+    th { background: var(--panel); }
+    tr.pass td.status { color: var(--pass); }
+    tr.fail td.status { color: var(--fail); }
+    tr.fail td { background: color-mix(in srgb, var(--fail) 8%, transparent); }
+    tr.skip td, details.source.skip summary { color: var(--muted); }
+    details.source.skip { border-left-color: var(--border); }
+    ul.warnings li { color: var(--warn); }
+    footer { margin-top: 48px; color: var(--muted); font-size: 13px; }
+`;
+
+function escapeHtml(text) {
+  const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+  return String(text ?? '').replace(/[&<>"']/g, m => map[m]);
+}
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'section';
+}
+
+function badge(text, kind = '') {
+  return `<span class="badge${kind ? ` ${kind}` : ''}">${escapeHtml(text)}</span>`;
+}
+
+/**
+ * Render doctruth.results as an HTML report. Uses the instance's
+ * displayOutput()/displayValue()/isError() so failures read the same as in Markdown.
+ */
+function renderHTML(doctruth) {
+  const { results, errors } = doctruth;
+  const meta = results.meta || {};
+  const sections = [];
+  const toc = [];
+
+  const section = (title, body, children = []) => {
+    const id = slug(title);
+    toc.push({ id, title, children });
+    sections.push(`<section id="${id}">`, `<h2>${escapeHtml(title)}</h2>`, ...body, '</section>');
+  };
+
+  if (errors.length > 0) {
+    section('Warnings', [
+      '<ul class="warnings">',
+      ...errors.map(error => `<li><strong>${escapeHtml(error.type)}</strong>: ${escapeHtml(error.source)} - ${escapeHtml(error.message)}</li>`),
+      '</ul>'
+    ]);
+  }
+
+  if (results.workspaces && results.workspaces.length > 0) {
+    const outputDir = path.dirname(doctruth.getOutputPath());
+    const rows = results.workspaces.map(workspace => {
+      if (workspace.status === 'skipped') {
+        return `<tr><td class="status">Skipped</td><td>${escapeHtml(workspace.name)}</td><td>${escapeHtml(workspace.path)}</td><td></td><td></td><td>no config</td></tr>`;
+      }
+
+      const link = path.relative(outputDir, workspace.output).split(path.sep).join('/');
+      return `<tr class="${workspace.status}">` +
+        `<td class="status">${workspace.status === 'pass' ? '✔ Pass' : '✘ Fail'}</td>` +
+        `<td>${escapeHtml(workspace.name)}</td>` +
+        `<td>${escapeHtml(workspace.path)}</td>` +
+        `<td>${workspace.passedValidations}/${workspace.validations}</td>` +
+        `<td>${workspace.warnings}</td>` +
+        `<td><a href="${escapeHtml(link)}">${escapeHtml(path.basename(workspace.output))}</a></td></tr>`;
+    });
+
+    section('Workspaces', [
+      '<table>',
+      '<thead><tr><th>Status</th><th>Package</th><th>Path</th><th>Validations</th><th>Warnings</th><th>Truth</th></tr></thead>',
+      '<tbody>', ...rows, '</tbody>',
+      '</table>'
+    ]);
+  }
+
+  if (results.sources && results.sources.length > 0) {
+    const categories = {};
+    for (const source of results.sources) {
+      const category = source.category || 'General';
+      (categories[category] = categories[category] || []).push(source);
+    }
+
+    const body = [];
+    const children = [];
+    for (const [category, sources] of Object.entries(categories)) {
+      const id = `category-${slug(category)}`;
+      children.push({ id, title: category });
+      body.push(`<h3 id="${id}">${escapeHtml(category)}</h3>`);
+
+      for (const source of sources) {
+        const failed = doctruth.isError(source);
+        const label = source.type ? `# ${source.command}` : `$ ${source.command}`;
+        const output = doctruth.displayOutput(source);
+
+        // Failed sources start expanded
+        body.push(`<details class="source ${source.skipped ? 'skip' : failed ? 'fail' : 'pass'}"${failed ? ' open' : ''}>`);
+        body.push(`<summary>${escapeHtml(source.name)}` +
+          (source.essential ? badge('essential', failed ? 'fail' : '') : '') +
+          (source.cached ? badge('cached') : '') +
+          (source.skipped ? badge('skipped') : '') +
+          (failed ? badge('failed', 'fail') : '') +
+          '</summary>');
+        body.push(source.skipped
+          ? `<pre><code>${escapeHtml(output)}</code></pre>`
+          : `<pre><code><span class="command">${escapeHtml(label)}</span>${output ? `\n${escapeHtml(output)}` : ''}</code></pre>`);
+        body.push('</details>');
+      }
+    }
+
+    section('Project State', body, children);
+  }
+
+  if (results.validations && results.validations.length > 0) {
+    const rows = results.validations.map(validation => {
+      const result = doctruth.validationResult(validation);
+      const status = validation.skipped ? 'skip' : validation.passed ? 'pass' : 'fail';
+      return `<tr class="${status}">` +
+        `<td class="status">${{ skip: '⏭ Skipped', pass: '✔ Pass', fail: '✘ Fail' }[status]}</td>` +
+        `<td>${escapeHtml(validation.name)}</td>` +
+        `<td><code>${escapeHtml(result)}</code></td>` +
+        `<td>${validation.required ? 'Yes' : 'No'}</td></tr>`;
+    });
+
+    section('Validation Results', [
+      '<table>',
+      '<thead><tr><th>Status</th><th>Validation</th><th>Result</th><th>Required</th></tr></thead>',
+      '<tbody>', ...rows, '</tbody>',
+      '</table>'
+    ]);
+  }
+
+  if (results.examples && results.examples.length > 0) {
+    const body = ['<div class="examples">'];
+    for (const example of results.examples) {
+      body.push(`<h3>${escapeHtml(example.name)}` +
+        (example.verified ? badge(example.passed ? 'verified' : 'failed', example.passed ? 'pass' : 'fail') : '') +
+        '</h3>');
+      if (example.description) {
+        body.push(`<p>${escapeHtml(example.description)}</p>`);
+      }
+      body.push(`<pre><code>${escapeHtml(example.skipped ? `# Skipped: ${example.skipped}` : example.command)}</code></pre>`);
+      if (example.verified && !example.passed) {
+        body.push(`<p class="failure">${escapeHtml(example.failure)}</p>`);
+      }
+      if (example.verified && example.excerpt) {
+        body.push(`<pre class="excerpt"><code>${escapeHtml(example.excerpt)}</code></pre>`);
+      }
+    }
+    body.push('</div>');
+    section('Working Examples', body);
+  }
+
+  if (results.benchmarks && results.benchmarks.length > 0) {
+    const rows = results.benchmarks.map(benchmark => {
+      const failures = benchmark.failures || [];
+      const failed = failures.length > 0 || doctruth.isError(benchmark);
+      const value = doctruth.displayValue(benchmark, benchmark.value) + (benchmark.unit && !benchmark.skipped ? ` ${benchmark.unit}` : '');
+      return `<tr class="${benchmark.skipped ? 'skip' : failed ? 'fail' : 'pass'}">` +
+        `<td>${escapeHtml(benchmark.name)}</td>` +
+        `<td>${escapeHtml(value)}${failures.length > 0 ? `<br><small>${escapeHtml(failures.join('; '))}</small>` : ''}</td>` +
+        `<td>${escapeHtml(formatTrend(benchmark))}</td>` +
+        `<td>${escapeHtml(formatDelta(benchmark))}</td></tr>`;
+    });
+
+    section('Performance Metrics', [
+      '<table>',
+      '<thead><tr><th>Metric</th><th>Value</th><th>Trend</th><th>Delta</th></tr></thead>',
+      '<tbody>', ...rows, '</tbody>',
+      '</table>'
+    ]);
+  }
+
+  if (results.platform && results.platform.length > 0) {
+    section('Environment', [
+      '<table>',
+      '<tbody>',
+      ...results.platform.map(item => `<tr class="${item.skipped ? 'skip' : doctruth.isError(item) ? 'fail' : 'pass'}"><th>${escapeHtml(item.name)}</th><td>${escapeHtml(doctruth.displayValue(item, item.value))}</td></tr>`),
+      '</tbody>',
+      '</table>'
+    ]);
+  }
+
+  const validations = (results.validations || []).filter(v => !v.skipped);
+  const passed = validations.filter(v => v.passed).length;
+  const summary = [];
+  if (validations.length > 0) {
+    summary.push(badge(`${passed}/${validations.length} validations passed`, passed === validations.length ? 'pass' : 'fail'));
+  }
+  if (results.sources) {
+    const failedSources = results.sources.filter(source => doctruth.isError(source)).length;
+    summary.push(badge(`${results.sources.length} sources${failedSources > 0 ? `, ${failedSources} failed` : ''}`, failedSources > 0 ? 'fail' : 'pass'));
+  }
+  if (errors.length > 0) {
+    summary.push(badge(`${errors.length} warning(s)`, 'warn'));
+  }
+
+  const tocItems = toc.map(entry => {
+    const children = entry.children.length > 1
+      ? `<ul>${entry.children.map(child => `<li><a href="#${child.id}">${escapeHtml(child.title)}</a></li>`).join('')}</ul>`
+      : '';
+    return `<li><a href="#${entry.id}">${escapeHtml(entry.title)}</a>${children}</li>`;
+  });
+
+  // "<" is escaped so the data can't close the script element
+  const data = JSON.stringify(results).replace(/</g, '\\u003c');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <meta charset="UTF-8">',
+    '  <meta name="viewport" content="width=device-width, initial-scale=1.0">',
+    `  <title>${escapeHtml(meta.project)} - Current Truth</title>`,
+    `  <style>${STYLES}  </style>`,
+    '</head>',
+    '<body>',
+    '<div class="container">',
+    '<header>',
+    `<h1>${escapeHtml(meta.project)} - Current Truth</h1>`,
+    `<p class="meta">Generated ${escapeHtml(meta.generated)}${meta.generationTime ? ` in ${escapeHtml(meta.generationTime)}` : ''}</p>`,
+    `<div class="summary">${summary.join('')}</div>`,
+    '</header>',
+    '<nav class="toc">',
+    '<strong>Contents</strong>',
+    `<ul>${tocItems.join('')}</ul>`,
+    '</nav>',
+    ...sections,
+    '<footer>',
+    `Generated by DocTruth - The Universal Documentation Truth System · Config: ${escapeHtml(doctruth.configPath)}`,
+    '</footer>',
+    '</div>',
+    `<script type="application/json" id="${DATA_ID}">${data}</script>`,
+    '</body>',
+    '</html>'
+  ].join('\n');
+}
+
+/**
+ * Read the results embedded in an HTML report
+ */
+function parseHTML(content) {
+  const match = content.match(new RegExp(`<script type="application/json" id="${DATA_ID}">([\\s\\S]*?)</script>`));
+  if (!match) {
+    throw new Error('No embedded results found');
+  }
+  return JSON.parse(match[1]);
+}
+
+module.exports = {
+  renderHTML,
+  parseHTML,
+  escapeHtml
+};
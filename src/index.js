@@ -5,13 +5,71 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { EventEmitter } = require('events');
 const yaml = require('js-yaml');
 const chalk = require('chalk');
 const chokidar = require('chokidar');
+const { execCommand, createLimiter, mapLimit, defaultConcurrency } = require('./runner');
+const { parseTruth, compareResults, normalize } = require('./compare');
+const { injectRegions } = require('./inject');
+const { hasAssertions, evaluateAssertions, describeFailure, registerAssertion } = require('./assertions');
+const { isNativeType, describeSource, runSource, registerSourceType } = require('./sources');
+const { getFormatter, registerFormatter, outputProblems } = require('./formatters');
+const { createHooks, applyPlugin, loadPlugin, trackRegistrations, removeRegistrations } = require('./plugins');
+const {
+  HISTORY_FILE,
+  parseMeasurement,
+  loadHistory,
+  saveHistory,
+  evaluateBenchmark,
+  formatTrend,
+  formatDelta
+} = require('./benchmarks');
+const history = require('./history');
+const { glob, matches, hasMagic, toPosix } = require('./glob');
+const { renderHTML, escapeHtml } = require('./html');
+const { CACHE_DIR, cacheKey, readCache, writeCache } = require('./cache');
+const { renderTemplate } = require('./template');
+const { schema, validateConfig, formatProblem, locateText } = require('./schema');
+const { findWorkspaces } = require('./workspaces');
+const { interpolateConfig, planSources, sourceReferences, resolveReferences } = require('./interpolate');
+const { checkWhen, platformCommand } = require('./conditions');
+const { compilePatterns, configDetectors, findSecrets, redactValue } = require('./redact');
+const { createSandbox, excerpt } = require('./examples');
+const { claimProblems, findClaim, compareClaim } = require('./claims');
+const { findSnippets, buildScript, findBash, splitOutput, matchOutput, normalizeOutput } = require('./doctests');
+const { homepage } = require('../package.json');
+
+// Watched when some item doesn't declare its `inputs:`
+const DEFAULT_WATCH_PATHS = ['lib', 'src', 'bin', 'test', 'tests', 'package.json'];
+const DEFAULT_WATCH_DEBOUNCE = 300;
+const DEFAULT_MAX_OUTPUT_LINES = 100;
+
+// Format of an `outputs:` entry without one, by file extension
+const FORMAT_EXTENSIONS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.json': 'json',
+  '.html': 'html',
+  '.htm': 'html',
+  '.xml': 'junit',
+  '.tap': 'tap'
+};
+
+// How showDiff() names a failing item of each section
+const FAILING_LABELS = { examples: 'example', doctests: 'doc test', claims: 'claim' };
+
+// Hooks from plugins registered with DocTruth.use() apply to every instance
+const globalHooks = createHooks();
 
-class DocTruth {
+/**
+ * Emits: log, start, source:start, source:end, validation:pass,
+ * validation:fail, validation:skip, warning, done and save
+ */
+class DocTruth extends EventEmitter {
   constructor(options = {}) {
+    super();
+
     this.options = {
       config: '.doctruth.yml',
       output: null,
@@ -20,6 +78,7 @@ class DocTruth {
       silent: false,
       timeout: 10,
       failOnError: false,
+      cache: true,
       ...options
     };
 
@@ -30,13 +89,74 @@ class DocTruth {
 
     this.configPath = this.options.config;
     this.config = null;
+    this.problems = [];
+    this.hooks = createHooks();
+    this.pluginHooks = createHooks();
+    this.pluginRegistrations = {};
+    this.executions = new Map();
+    this.cacheUpdates = [];
+    this.sourceResults = new Map();
+    this.workspaces = [];
+    this.pendingChanges = new Set();
     this.results = {};
     this.errors = [];
     this.startTime = null;
     this.endTime = null;
   }
 
+  /**
+   * Register a plugin for every DocTruth instance
+   */
+  static use(plugin, options = {}) {
+    applyPlugin(plugin, globalHooks, options);
+    return DocTruth;
+  }
+
+  /**
+   * Register a plugin; its hooks only run for this instance
+   */
+  use(plugin, options = {}) {
+    applyPlugin(plugin, this.hooks, options);
+    return this;
+  }
+
+  /**
+   * Load the plugins listed under `plugins:`, relative to the config file.
+   * Loading again (watch mode reloads the config) first drops the hooks and
+   * registrations of the previous load.
+   */
+  loadPlugins() {
+    const baseDir = path.dirname(path.resolve(this.configPath));
+
+    removeRegistrations(this.pluginRegistrations);
+    this.pluginHooks = createHooks();
+
+    this.pluginRegistrations = trackRegistrations(() => {
+      for (const spec of Array.isArray(this.config.plugins) ? this.config.plugins : []) {
+        const { name, plugin, options } = loadPlugin(spec, baseDir);
+        applyPlugin(plugin, this.pluginHooks, options);
+        this.log(`Loaded plugin: ${name}`, 'debug');
+      }
+    });
+  }
+
+  /**
+   * Run hooks for an event in registration order. A hook may return a
+   * replacement for the value it was given.
+   */
+  async runHooks(event, value, ...args) {
+    for (const hook of [...globalHooks[event], ...this.pluginHooks[event], ...this.hooks[event]]) {
+      const replacement = await hook(value, ...args, this);
+      if (replacement !== undefined) {
+        value = replacement;
+      }
+    }
+    return value;
+  }
+
   log(message, level = 'info') {
+    this.emit('log', { level, message });
+
     if (this.options.silent) return;
 
     const prefix = {
@@ -56,13 +176,42 @@ class DocTruth {
     try {
       if (fs.existsSync(this.configPath)) {
         const configContent = fs.readFileSync(this.configPath, 'utf8');
-        this.config = yaml.load(configContent);
+        const config = yaml.load(configContent);
+        this.config = config;
 
         // Handle preset extension
-        if (this.config.extends) {
+        if (this.config && this.config.extends) {
           await this.extendPreset(this.config.extends);
         }
 
+        if (this.config) {
+          this.loadPlugins();
+        }
+
+        // Plugins are loaded first so their source types and assertions are known
+        this.problems = validateConfig(config, configContent, this.configPath);
+
+        if (this.problems.length === 0) {
+          const interpolated = interpolateConfig(this.config);
+          this.config = interpolated.config;
+          this.problems = [
+            ...interpolated.problems,
+            ...planSources(this.config).problems,
+            ...compilePatterns(Array.isArray(this.config.redact) ? this.config.redact : []).problems,
+            ...claimProblems(this.config),
+            ...outputProblems(this.config.outputs)
+          ].map(problem => ({
+            file: this.configPath,
+            ...locateText(configContent, problem.reference),
+            path: problem.where,
+            message: `${problem.where}: ${problem.message}`
+          }));
+        }
+
+        if (this.problems.length > 0) {
+          throw new Error(`${this.problems.length} problem(s) in ${this.configPath}\n${this.problems.map(formatProblem).join('\n')}`);
+        }
+
         // Override output if specified in CLI
         if (this.options.output) {
           this.config.output = this.options.output;
@@ -128,65 +277,321 @@ class DocTruth {
     return merged;
   }
 
-  runCommand(command, timeout = null) {
+  /**
+   * Run a shell command and describe what happened:
+   * { output, stderr, exitCode, signal, timedOut, duration, error }
+   * where output is the trimmed stdout.
+   */
+  async runCommand(command, timeout = null, { throwOnError = this.options.failOnError, cwd, shell } = {}) {
     const actualTimeout = (timeout || this.options.timeout) * 1000;
 
-    try {
-      this.log(`Running: ${command}`, 'debug');
-
-      // Platform-specific handling
-      const isWindows = process.platform === 'win32';
-      const options = {
-        encoding: 'utf8',
-        timeout: actualTimeout,
-        windowsHide: true,
-        maxBuffer: 1024 * 1024 * 10, // 10MB buffer
-        env: { ...process.env, FORCE_COLOR: '0', NO_COLOR: '1' }
-      };
+    this.log(`Running: ${command}${cwd ? ` (in ${cwd})` : ''}`, 'debug');
 
-      // Use appropriate shell
-      if (isWindows) {
-        options.shell = 'cmd.exe';
-      } else {
-        options.shell = '/bin/bash';
-      }
+    const result = await execCommand(command, {
+      timeout: actualTimeout,
+      cwd,
+      shell,
+      env: { ...process.env, FORCE_COLOR: '0', NO_COLOR: '1' }
+    });
 
-      const output = execSync(command, options);
-      return output.trim();
-    } catch (error) {
-      const errorInfo = this.formatCommandError(error, command, actualTimeout);
+    const execution = {
+      output: result.stdout.trim(),
+      stderr: result.stderr.trim(),
+      exitCode: result.exitCode,
+      signal: result.signal,
+      timedOut: result.timedOut,
+      duration: result.duration,
+      error: result.error ? result.error.message : null
+    };
 
-      if (this.options.failOnError) {
-        throw new Error(`Command failed: ${command}\n${errorInfo}`);
-      }
+    if (throwOnError && this.isError(execution)) {
+      throw new Error(`Command failed: ${command}\n${this.formatCommandError(execution)}`);
+    }
+
+    return execution;
+  }
+
+  /**
+   * Collect a configured item: a shell command, or a native source type
+   * (file, json, glob, env, git, links) that runs without a shell
+   */
+  async runItem(item, timeout = item.timeout, options = {}) {
+    // Incremental watch runs reuse results of items whose inputs didn't change
+    if (this.reusable && this.reusable.has(item)) {
+      this.log(`Reusing: ${item.name}`, 'debug');
+      const execution = this.reusable.get(item);
+      this.executions.set(item, execution);
+      return execution;
+    }
+
+    // Items whose `when:` doesn't hold are reported, not run
+    const skipped = this.skipReason(item);
+    if (skipped) {
+      this.log(`Skipped: ${item.name} (${skipped})`, 'debug');
+      const execution = { output: '', stderr: '', exitCode: null, signal: null, timedOut: false, duration: 0, error: null, skipped };
+      this.executions.set(item, execution);
+      return execution;
+    }
+
+    // An item built from a failed source's output isn't run
+    const failed = sourceReferences(item).find(name => !this.sourceResults.has(name) || this.isError(this.sourceResults.get(name)));
+    if (failed) {
+      const execution = { output: '', stderr: '', exitCode: null, signal: null, timedOut: false, duration: 0, error: `Source "${failed}" failed` };
+      this.executions.set(item, execution);
+      return execution;
+    }
+
+    // Cached by what actually runs, so a referenced source's output is part of the key
+    const resolved = this.resolveItem(item);
+    const cacheOptions = this.getCacheOptions(item);
+    const key = cacheOptions && cacheKey(resolved, cacheOptions);
+    const cached = key && readCache(item, key);
+    if (cached) {
+      this.log(`Cached: ${item.name}`, 'debug');
+      const execution = { ...cached, cached: true };
+      this.executions.set(item, execution);
+      return execution;
+    }
+
+    const execution = await this.executeItem(resolved, timeout, options);
+    this.executions.set(item, execution);
 
-      return errorInfo;
+    // Written by generate(), so run() and --check leave the cache alone
+    if (key && !this.isError(execution)) {
+      this.cacheUpdates.push({ item, key, execution });
     }
+
+    return execution;
   }
 
-  formatCommandError(error, command, timeout) {
-    if (error.code === 'ETIMEDOUT') {
-      return `[TIMEOUT: Command exceeded ${timeout/1000}s]`;
+  /**
+   * Why an item won't run here, or null: a `when:` condition that doesn't
+   * hold, a referenced source that was skipped, or no command for this platform
+   */
+  skipReason(item) {
+    const reason = checkWhen(item.when, {
+      platform: process.platform,
+      env: process.env,
+      sources: this.sourceResults,
+      isError: result => this.isError(result)
+    });
+    if (reason) return reason;
+
+    const skipped = sourceReferences(item).find(name => this.sourceResults.get(name)?.skipped);
+    if (skipped) return `source "${skipped}" was skipped`;
+
+    if (!isNativeType(item) && platformCommand(item.command) === undefined) {
+      return `no command for ${process.platform}`;
     }
 
-    if (error.signal) {
-      return `[KILLED: Signal ${error.signal}]`;
+    return null;
+  }
+
+  /**
+   * The item as it runs here: ${sources.<name>.output} references filled in
+   * from this run and the command for this platform picked from a map
+   */
+  resolveItem(item) {
+    const resolved = resolveReferences(item, name => this.sourceResults.get(name));
+    if (!resolved.command || typeof resolved.command !== 'object') return resolved;
+
+    return { ...resolved, command: platformCommand(resolved.command) };
+  }
+
+  /**
+   * Cache settings for an item, or null when it isn't cached. Items opt in
+   * with `cache: true` (or `cache: { env: [...] }`); `cache.enabled` in the
+   * config opts in every item that declares `inputs:`.
+   */
+  getCacheOptions(item) {
+    if (this.options.cache === false || item.cache === false) return null;
+
+    const settings = this.config.cache || {};
+    if (!item.cache && !(settings.enabled && item.inputs)) return null;
+
+    return {
+      env: [...(settings.env || []), ...((item.cache && item.cache.env) || [])]
+    };
+  }
+
+  /**
+   * Store the results of cacheable items collected in this run
+   */
+  saveCache() {
+    for (const { item, key, execution } of this.cacheUpdates) {
+      writeCache(item, key, execution);
+    }
+    if (this.cacheUpdates.length > 0) {
+      this.log(`Cached ${this.cacheUpdates.length} result(s) in ${CACHE_DIR}`, 'debug');
+    }
+    this.cacheUpdates = [];
+  }
+
+  async executeItem(item, timeout, { throwOnError = this.options.failOnError, cwd } = {}) {
+    if (!isNativeType(item)) {
+      return this.runCommand(item.command, timeout, { throwOnError, cwd });
+    }
+
+    this.log(`Reading: ${describeSource(item)}`, 'debug');
+
+    const execution = await runSource(item, {
+      timeout: (timeout || this.options.timeout) * 1000,
+      read: file => this.readDoc(file)
+    });
+
+    if (throwOnError && this.isError(execution)) {
+      throw new Error(`Source failed: ${describeSource(item)}\n${this.formatCommandError(execution)}`);
+    }
+
+    return execution;
+  }
+
+  /**
+   * Fields identifying what an item ran: the command, plus the type for native sources
+   */
+  describeItem(item) {
+    return isNativeType(item)
+      ? { command: describeSource(item), type: item.type }
+      : { command: item.command };
+  }
+
+  /**
+   * One-line status for a failed command, or null if it succeeded
+   */
+  formatCommandError(result) {
+    if (!this.isError(result)) return null;
+
+    if (result.timedOut) {
+      return `[TIMEOUT: Command exceeded ${Math.round(result.duration / 1000)}s]`;
+    }
+
+    if (result.error) {
+      return `[ERROR: ${result.error}]`;
+    }
+
+    if (result.signal) {
+      return `[KILLED: Signal ${result.signal}]`;
+    }
+
+    return `[EXIT CODE: ${result.exitCode}]`;
+  }
+
+  /**
+   * Text to show for a command result: its output plus, when it failed,
+   * the failure status and stderr
+   */
+  displayOutput(result, value = result.output) {
+    if (result.skipped) return `Skipped: ${result.skipped}`;
+
+    const status = this.formatCommandError(result);
+    if (!status) return value;
+
+    return [value, status, result.stderr].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Single-line variant of displayOutput() for tables and lists
+   */
+  displayValue(result, value = result.output) {
+    if (result.skipped) return `Skipped: ${result.skipped}`;
+
+    const status = this.formatCommandError(result);
+    if (!status) return value;
+
+    return value ? `${value} ${status}` : status;
+  }
+
+  /**
+   * Result text for a validation: its failed assertions, or its output
+   * (cut at `width`) followed by any failure status in full. An exit code the
+   * validation expects (`expect_exit_code`) is not a failure.
+   */
+  validationResult(validation, width = Infinity) {
+    const failed = (validation.assertions || []).filter(a => !a.passed);
+    if (failed.length > 0) return failed.map(describeFailure).join('; ');
+    if (validation.skipped) return `Skipped: ${validation.skipped}`;
+
+    const output = String(validation.output || '').substring(0, width);
+    if ((validation.assertions || []).some(a => a.kind === 'expect_exit_code')) {
+      return output || `exit ${validation.exitCode} (expected)`;
     }
+    return this.displayValue(validation, output);
+  }
+
+  getConcurrency() {
+    return this.options.concurrency ||
+      this.config?.meta?.concurrency ||
+      defaultConcurrency();
+  }
 
-    if (error.status) {
-      // Try to get any output
-      const stdout = error.stdout ? error.stdout.toString().trim() : '';
-      const stderr = error.stderr ? error.stderr.toString().trim() : '';
+  /**
+   * Run fn over items with bounded concurrency, keeping config order
+   */
+  runConcurrent(items, fn) {
+    if (!this.limiter) {
+      this.limiter = createLimiter(this.getConcurrency());
+    }
+    return mapLimit(items, this.limiter, fn);
+  }
 
-      if (stdout) return stdout;
-      if (stderr) return `[STDERR: ${stderr}]`;
-      return `[EXIT CODE: ${error.status}]`;
+  /**
+   * Collect every section and return { results, errors } without writing
+   * anything. Loads the config first if it hasn't been loaded.
+   */
+  async run() {
+    if (!this.config) {
+      await this.loadConfig();
     }
 
-    return `[ERROR: ${error.message}]`;
+    await this.collect();
+    return { results: this.results, errors: this.errors };
+  }
+
+  /**
+   * Record a problem found while collecting (reported as a warning)
+   */
+  addError(error) {
+    this.errors.push(error);
+    this.emit('warning', error);
   }
 
   async generate() {
+    await this.run();
+
+    // Packages first, so the summary never links to a stale truth file
+    for (const workspace of this.workspaces) {
+      await this.inWorkspace(workspace, () => workspace.doctruth.write());
+    }
+
+    await this.write();
+
+    return { results: this.results, errors: this.errors };
+  }
+
+  /**
+   * Write what a run produced: the output file, marker regions, benchmark
+   * history, the snapshot and the cache
+   */
+  async write() {
+    // One collection, rendered to every output
+    for (const output of this.getOutputs()) {
+      await this.save(output);
+    }
+
+    // Refresh marker regions in existing docs
+    await this.inject();
+
+    this.recordBenchmarks();
+    this.saveSnapshot();
+    this.saveCache();
+
+    await this.runHooks('afterGenerate', this.results);
+  }
+
+  /**
+   * Run every configured section and fill this.results without writing anything
+   */
+  async collect() {
     this.startTime = Date.now();
     this.errors = [];
     this.results = {
@@ -197,50 +602,84 @@ class DocTruth {
       }
     };
 
+    this.emit('start', { config: this.config });
+
+    // Execution per configured item, so watch mode can reuse them
+    this.executions = new Map();
+    this.cacheUpdates = [];
+    this.sourceResults = new Map();
+
+    // Commands from every section share one pool
+    this.limiter = createLimiter(this.getConcurrency());
+    this.log(`Running commands with concurrency ${this.limiter.concurrency}`, 'debug');
+
     // Process different sections
     await this.processSources();
     await this.processValidations();
+    await this.processClaims();
     await this.processExamples();
+    await this.processDoctests();
     await this.processBenchmarks();
     await this.processPlatform();
+    await this.processWorkspaces();
+    this.redactResults();
 
     this.endTime = Date.now();
     this.results.meta.generationTime = `${(this.endTime - this.startTime) / 1000}s`;
 
-    // Save the output
-    await this.save();
+    this.emit('done', { results: this.results, errors: this.errors });
+    return this.results;
   }
 
   async processSources() {
     if (!this.config.truth_sources) return;
 
     this.log('Collecting truth sources...', 'info');
-    this.results.sources = [];
-
-    for (const source of this.config.truth_sources) {
-      this.log(`  ${source.name}`, 'debug');
 
-      const output = this.runCommand(
-        source.command,
-        source.timeout || this.config.meta?.timeout_seconds
-      );
+    const { levels, problems } = planSources(this.config);
+    if (problems.length > 0) {
+      throw new Error(problems.map(problem => `${problem.where}: ${problem.message}`).join('\n'));
+    }
 
-      const result = {
-        name: source.name,
-        command: source.command,
-        output: output,
-        essential: source.essential || false,
-        category: source.category || 'general'
-      };
+    // Sources run after the sources whose output they reference
+    const sources = this.config.truth_sources;
+    this.results.sources = new Array(sources.length);
+    for (const level of levels) {
+      const collected = await this.runConcurrent(level.map(index => sources[index]), async configured => {
+        const source = await this.runHooks('beforeSource', configured);
+        this.log(`  ${source.name}`, 'debug');
+        this.emit('source:start', { name: source.name, source });
+
+        const result = await this.runItem(
+          source,
+          source.timeout || this.config.meta?.timeout_seconds
+        );
+
+        const collected = await this.runHooks('afterSource', {
+          name: source.name,
+          ...this.describeItem(this.resolveItem(source)),
+          ...result,
+          essential: source.essential || false,
+          category: source.category || 'general'
+        }, source);
+
+        this.emit('source:end', { name: source.name, result: collected });
+        return collected;
+      });
 
-      this.results.sources.push(result);
+      level.forEach((index, i) => {
+        this.results.sources[index] = collected[i];
+        this.sourceResults.set(sources[index].name, collected[i]);
+      });
+    }
 
-      // Check for errors in essential sources
-      if (source.essential && this.isError(output)) {
-        this.errors.push({
+    // Check for errors in essential sources
+    for (const source of this.results.sources) {
+      if (source.essential && this.isError(source)) {
+        this.addError({
           type: 'essential',
           source: source.name,
-          message: output
+          message: [this.formatCommandError(source), source.stderr.split('\n')[0]].filter(Boolean).join(' ')
         });
       }
     }
@@ -250,32 +689,76 @@ class DocTruth {
     if (!this.config.validations) return;
 
     this.log('Running validations...', 'info');
-    this.results.validations = [];
 
-    for (const validation of this.config.validations) {
-      const output = this.runCommand(validation.command);
-      const passed = this.evaluateValidation(output, validation);
+    this.results.validations = await this.runConcurrent(this.config.validations, async validation => {
+      // An expected non-zero exit is not a command failure
+      const result = await this.runItem(validation, validation.timeout, {
+        throwOnError: this.options.failOnError && validation.expect_exit_code === undefined
+      });
+
+      // Skipped validations neither pass nor fail
+      if (result.skipped) {
+        return { name: validation.name, passed: null, ...result, required: validation.required || false };
+      }
+
+      if (!hasAssertions(validation)) {
+        return {
+          name: validation.name,
+          passed: this.evaluateValidation(result.output, validation, result),
+          ...result,
+          required: validation.required || false
+        };
+      }
+
+      const assertions = evaluateAssertions(validation, {
+        output: result.output,
+        stderr: result.stderr,
+        exitCode: result.exitCode
+      });
 
-      const result = {
+      // As without assertions, a failed command never passes unless its exit
+      // code is the expected one
+      const status = validation.expect_exit_code === undefined ? this.formatCommandError(result) : null;
+
+      return {
         name: validation.name,
-        passed: passed,
-        output: output,
-        required: validation.required || false
+        passed: !status && assertions.every(a => a.passed),
+        ...result,
+        required: validation.required || false,
+        assertions
       };
+    });
+
+    for (const validation of this.results.validations) {
+      if (validation.skipped) {
+        this.emit('validation:skip', validation);
+        continue;
+      }
 
-      this.results.validations.push(result);
+      this.emit(validation.passed ? 'validation:pass' : 'validation:fail', validation);
 
-      if (validation.required && !passed) {
-        this.errors.push({
+      if (validation.required && !validation.passed) {
+        const failed = (validation.assertions || []).filter(a => !a.passed).map(describeFailure);
+        const expectsExit = (validation.assertions || []).some(a => a.kind === 'expect_exit_code');
+        const status = validation.assertions && !expectsExit ? this.formatCommandError(validation) : null;
+        const reasons = status ? [status, ...failed] : failed;
+        this.addError({
           type: 'validation',
           source: validation.name,
-          message: `Required validation failed`
+          message: reasons.length > 0
+            ? `Required validation failed (${reasons.join('; ')})`
+            : `Required validation failed`
         });
       }
     }
   }
 
-  evaluateValidation(output, validation) {
+  evaluateValidation(output, validation, result = null) {
+    // A command that failed to run cleanly never passes
+    if (result && this.isError(result)) {
+      return false;
+    }
+
     // Check for explicit failure indicators
     if (output.includes('✗') || output.includes('✘') || output.includes('FAIL')) {
       return false;
@@ -298,78 +781,516 @@ class DocTruth {
            (!this.isError(output) && output.length > 0);
   }
 
+  async processClaims() {
+    if (!this.config.claims) return;
+
+    this.log('Checking claims...', 'info');
+
+    this.results.claims = this.config.claims.map(claim => this.checkClaim(claim));
+
+    for (const claim of this.results.claims.filter(c => c.passed === false)) {
+      this.addError({
+        type: 'claim',
+        source: claim.name,
+        message: `Docs don't match source "${claim.source}" (${claim.failure})`
+      });
+    }
+  }
+
+  /**
+   * Find a claim in its doc file and compare it with its source's output
+   */
+  checkClaim(claim) {
+    const compare = claim.compare || 'equals';
+    const claimResult = fields => ({ name: claim.name, file: claim.file, source: claim.source, compare, ...fields });
+
+    const result = this.sourceResults.get(claim.source);
+    if (result && result.skipped) {
+      return claimResult({ passed: null, skipped: `source "${claim.source}" was skipped` });
+    }
+
+    if (!fs.existsSync(claim.file)) {
+      return claimResult({ passed: false, failure: `${claim.file} not found` });
+    }
+
+    const found = findClaim(this.readDoc(claim.file), claim);
+    if (!found) {
+      return claimResult({ passed: false, failure: `claim not found in ${claim.file}` });
+    }
+
+    const where = `${claim.file}:${found.line}`;
+    if (!result || this.isError(result)) {
+      return claimResult({ line: found.line, claimed: found.value, passed: false, failure: `${where}: source failed` });
+    }
+
+    const outcome = compareClaim(found.value, result.output, compare);
+    return claimResult({
+      line: found.line,
+      claimed: found.value,
+      actual: result.output,
+      passed: outcome.passed,
+      failure: outcome.passed ? null : `${where}: ${describeFailure(outcome)}`
+    });
+  }
+
   async processExamples() {
     if (!this.config.working_examples) return;
 
     this.log('Documenting examples...', 'info');
-    this.results.examples = [];
 
-    for (const example of this.config.working_examples) {
+    this.results.examples = await this.runConcurrent(this.config.working_examples, async example => {
+      if (example.verify) {
+        return this.verifyExample(example);
+      }
+
       // Examples are usually echo commands or documentation
-      const output = this.runCommand(example.command);
+      const { output, ...execution } = await this.runItem(example);
 
-      this.results.examples.push({
+      return {
         name: example.name,
         description: example.description || '',
-        command: output.replace(/^echo\s+['"]?|['"]?$/g, '')
+        command: this.formatCommandError(execution) || output.replace(/^echo\s+['"]?|['"]?$/g, ''),
+        ...execution
+      };
+    });
+
+    for (const example of this.results.examples) {
+      if (example.verified && !example.passed) {
+        this.addError({
+          type: 'example',
+          source: example.name,
+          message: `Example failed (${example.failure})`
+        });
+      }
+    }
+  }
+
+  /**
+   * Run an example for real, in a temporary copy of the project or in its
+   * `cwd:`, and check its exit status and assertions
+   */
+  async verifyExample(example) {
+    const sandbox = example.cwd ? null : createSandbox();
+    let execution;
+    try {
+      // A failing example is a result, not an error
+      execution = await this.runItem(example, example.timeout, {
+        throwOnError: false,
+        cwd: sandbox ? sandbox.dir : path.resolve(example.cwd)
+      });
+    } finally {
+      if (sandbox) sandbox.remove();
+    }
+
+    const { command } = this.describeItem(this.resolveItem(example));
+    if (execution.skipped) {
+      return { name: example.name, description: example.description || '', command, ...execution };
+    }
+
+    const assertions = evaluateAssertions(example, {
+      output: execution.output,
+      stderr: execution.stderr,
+      exitCode: execution.exitCode
+    });
+    const failed = assertions.filter(a => !a.passed);
+
+    // An expected exit code replaces the usual "exit 0" requirement
+    const status = example.expect_exit_code === undefined ? this.formatCommandError(execution) : null;
+    const failure = failed.length > 0 ? failed.map(describeFailure).join('; ') : status;
+
+    return {
+      name: example.name,
+      description: example.description || '',
+      command,
+      verified: true,
+      passed: !failure,
+      failure,
+      excerpt: excerpt(this.displayOutput(execution)),
+      ...execution,
+      assertions
+    };
+  }
+
+  async processDoctests() {
+    if (!this.config.doctests) return;
+
+    this.log('Running doc tests...', 'info');
+
+    this.results.doctests = await this.doctest();
+
+    for (const doctest of this.results.doctests.filter(d => !d.passed)) {
+      this.addError({
+        type: 'doctest',
+        source: doctest.name,
+        message: `Doc test failed (${doctest.failure})`
       });
     }
   }
 
+  /**
+   * `doctests:` settings: { files, all, cwd, timeout }. A file or list of
+   * files is shorthand for { files }.
+   */
+  getDoctestSettings() {
+    const doctests = (this.config || {}).doctests;
+    const settings = doctests && typeof doctests === 'object' && !Array.isArray(doctests) ? doctests : { files: doctests };
+
+    return { all: false, ...settings, files: [].concat(settings.files || 'README.md') };
+  }
+
+  /**
+   * Run the doc tests in the given Markdown files (globs allowed), or in the
+   * configured ones. Returns a result per snippet; failing snippets are
+   * results, not errors.
+   */
+  async doctest(files = [], overrides = {}) {
+    const settings = { ...this.getDoctestSettings(), ...overrides };
+    const patterns = files.length > 0 ? files : settings.files;
+
+    const missing = patterns.find(pattern => !hasMagic(pattern) && !pattern.startsWith('!') && !fs.existsSync(pattern));
+    if (missing) {
+      throw new Error(`Doc test file not found: ${missing}`);
+    }
+
+    // Snippets are bash, also on Windows where commands otherwise run in cmd.exe
+    settings.shell = findBash();
+    if (!settings.shell) {
+      throw new Error('Doc tests need bash to run snippets, and none was found (on Windows, install Git for Windows)');
+    }
+
+    const results = await this.runConcurrent(glob(patterns), file => this.runDoctestFile(file, settings));
+    return results.flat();
+  }
+
+  /**
+   * Run a file's snippets in order, sharing one temporary copy of the
+   * project (or the configured `cwd:`) so later snippets see earlier ones' files
+   */
+  async runDoctestFile(file, settings) {
+    const { snippets, errors } = findSnippets(this.readDoc(file), { all: settings.all });
+    const results = errors.map(error => ({
+      name: `${file}:${error.line}`,
+      file,
+      line: error.line,
+      command: '',
+      passed: false,
+      failure: error.message
+    }));
+    if (snippets.length === 0) return results;
+
+    const sandbox = settings.cwd ? null : createSandbox();
+    try {
+      for (const snippet of snippets) {
+        results.push(await this.runSnippet(snippet, file, sandbox ? sandbox.dir : path.resolve(settings.cwd), settings));
+      }
+    } finally {
+      if (sandbox) sandbox.remove();
+    }
+
+    return results.sort((a, b) => a.line - b.line);
+  }
+
+  /**
+   * Run a snippet's commands in one shell and check each against the output
+   * shown for it. The marker's assertions apply to the last command.
+   */
+  async runSnippet(snippet, file, cwd, { timeout, shell }) {
+    const execution = await this.runCommand(buildScript(snippet.commands), timeout, { throwOnError: false, cwd, shell });
+    const ran = splitOutput(execution.output, snippet.commands.length, execution.timedOut ? null : execution.exitCode);
+    let failure = null;
+    let failedOutput = null;
+
+    for (const [index, command] of snippet.commands.entries()) {
+      const result = ran[index];
+      const checks = index === snippet.commands.length - 1 ? snippet.options : {};
+      let problem = null;
+
+      if (!result) {
+        // The script stopped early: a timeout, or `exit` in an earlier command
+        problem = index === ran.length ? this.formatCommandError(execution) || 'did not run' : 'did not run';
+      } else if (result.exitCode !== 0 && checks.expect_exit_code === undefined) {
+        problem = `[EXIT CODE: ${result.exitCode}]`;
+      } else {
+        const output = normalizeOutput(result.output);
+        const failed = evaluateAssertions(checks, { output, stderr: '', exitCode: result.exitCode }).filter(a => !a.passed);
+        if (command.expected !== null && !matchOutput(command.expected, output)) {
+          failed.unshift({ kind: 'output', expected: normalizeOutput(command.expected), actual: output });
+        }
+        problem = failed.length > 0 ? failed.map(describeFailure).join('; ') : null;
+      }
+
+      if (problem) {
+        failure = `line ${command.line}: ${problem}`;
+        failedOutput = result ? normalizeOutput(result.output) : this.displayOutput(execution, '');
+        break;
+      }
+    }
+
+    return {
+      name: `${file}:${snippet.line}`,
+      file,
+      line: snippet.line,
+      command: snippet.commands.map(c => c.command).join('\n'),
+      passed: !failure,
+      failure,
+      excerpt: failure ? excerpt(failedOutput) : '',
+      output: ran.map(r => normalizeOutput(r.output)).filter(Boolean).join('\n'),
+      duration: execution.duration
+    };
+  }
+
   async processBenchmarks() {
     if (!this.config.benchmarks) return;
 
     this.log('Running benchmarks...', 'info');
-    this.results.benchmarks = [];
 
-    for (const benchmark of this.config.benchmarks) {
-      const output = this.runCommand(benchmark.command);
+    const benchmarkHistory = loadHistory();
+
+    this.results.benchmarks = await this.runConcurrent(this.config.benchmarks, async benchmark => {
+      const { output, ...execution } = await this.runItem(benchmark);
+      const measurement = this.isError(execution) || execution.skipped ? null : parseMeasurement(output, benchmark.unit);
+      const analysis = execution.skipped
+        ? { baseline: null, delta: null, trend: null, failures: [] }
+        : evaluateBenchmark(measurement, benchmark, benchmarkHistory[benchmark.name]);
 
-      this.results.benchmarks.push({
+      return {
         name: benchmark.name,
         value: output,
-        unit: benchmark.unit || ''
+        unit: benchmark.unit || '',
+        ...execution,
+        number: measurement ? measurement.number : null,
+        measuredUnit: measurement ? measurement.unit : null,
+        baseline: analysis.baseline,
+        delta: analysis.delta,
+        trend: analysis.trend,
+        failures: analysis.failures
+      };
+    });
+
+    for (const benchmark of this.results.benchmarks) {
+      for (const failure of benchmark.failures) {
+        this.addError({
+          type: 'benchmark',
+          source: benchmark.name,
+          message: failure
+        });
+      }
+    }
+  }
+
+  /**
+   * Collect every workspace package that has a config of its own. Packages
+   * run one after another, each in its own directory, so paths in their
+   * configs work as they do when running doctruth there.
+   */
+  async processWorkspaces() {
+    this.workspaces = [];
+    if (!this.config.workspaces) return;
+
+    const configName = path.basename(this.configPath);
+    const dirs = findWorkspaces(this.config.workspaces);
+    this.log(`Collecting ${dirs.length} workspace package(s)...`, 'info');
+
+    this.results.workspaces = [];
+    for (const dir of dirs) {
+      const configPath = path.resolve(dir, configName);
+      if (!fs.existsSync(configPath)) {
+        this.log(`  ${dir}: no ${configName}, skipped`, 'debug');
+        this.results.workspaces.push({ name: path.basename(dir), path: dir, status: 'skipped' });
+        continue;
+      }
+
+      const workspace = { path: dir, doctruth: new DocTruth({ ...this.options, config: configPath, output: null }) };
+      await this.inWorkspace(workspace, async () => {
+        try {
+          await workspace.doctruth.loadConfig();
+        } catch (error) {
+          throw new Error(`${dir}: ${error.message}`);
+        }
+        await workspace.doctruth.collect();
       });
+      this.workspaces.push(workspace);
+
+      const { results, errors } = workspace.doctruth;
+      const validations = (results.validations || []).filter(v => !v.skipped);
+      this.results.workspaces.push({
+        name: results.meta.project,
+        path: dir,
+        output: toPosix(path.relative(process.cwd(), path.resolve(dir, workspace.doctruth.getOutputPath()))),
+        status: errors.length > 0 ? 'fail' : 'pass',
+        sources: (results.sources || []).length,
+        validations: validations.length,
+        passedValidations: validations.filter(v => v.passed).length,
+        warnings: errors.length
+      });
+
+      for (const error of errors) {
+        this.addError({ ...error, source: `${dir}: ${error.source}` });
+      }
     }
   }
 
+  /**
+   * Mask secrets in everything collected, so no format writes them.
+   * `redact: false` in the config leaves output as it is.
+   */
+  redactResults() {
+    if (this.config.redact === false) return;
+
+    const detectors = configDetectors(this.config);
+    const results = redactValue(this.results, detectors);
+    const errors = redactValue(this.errors, detectors);
+    this.results = results.value;
+    this.errors = errors.value;
+
+    if (results.count + errors.count > 0) {
+      this.log(`Redacted ${results.count + errors.count} secret(s)`, 'info');
+    }
+  }
+
+  /**
+   * Run fn with the workspace package directory as the working directory
+   */
+  async inWorkspace(workspace, fn) {
+    const cwd = process.cwd();
+    process.chdir(workspace.path);
+    try {
+      return await fn();
+    } finally {
+      process.chdir(cwd);
+    }
+  }
+
+  /**
+   * Keep a structured copy of this run under .doctruth/history
+   */
+  saveSnapshot() {
+    const limit = this.config.meta?.history_limit;
+    if (limit === 0) return null;
+
+    const snapshot = history.saveSnapshot(this.results, this.errors, { limit });
+    this.log(`Snapshot saved: ${snapshot.id}`, 'debug');
+    return snapshot;
+  }
+
+  /**
+   * Append this run's benchmark numbers to the local history
+   */
+  recordBenchmarks() {
+    if (!this.results.benchmarks || this.results.benchmarks.length === 0) return;
+
+    // Results reused by watch mode were already recorded
+    const reused = new Set((this.config.benchmarks || []).filter(b => this.reusable?.has(b)).map(b => b.name));
+
+    const measured = this.results.benchmarks
+      .filter(b => typeof b.number === 'number' && !reused.has(b.name))
+      .map(b => ({ name: b.name, number: b.number, unit: b.measuredUnit }));
+
+    saveHistory(loadHistory(), measured, { timestamp: this.results.meta.generated });
+    this.log(`Benchmark history updated in ${HISTORY_FILE}`, 'debug');
+  }
+
   async processPlatform() {
     if (!this.config.platform) return;
 
     this.log('Collecting platform info...', 'info');
-    this.results.platform = [];
 
-    for (const item of this.config.platform) {
-      const output = this.runCommand(item.command);
+    this.results.platform = await this.runConcurrent(this.config.platform, async item => {
+      const { output, ...execution } = await this.runItem(item);
 
-      this.results.platform.push({
+      return {
         name: item.name,
-        value: output
-      });
+        value: output,
+        ...execution
+      };
+    });
+  }
+
+  /**
+   * Whether a command result failed: non-zero exit, signal, timeout or spawn error.
+   * Plain strings only count when they carry a formatCommandError() status.
+   */
+  isError(result) {
+    if (!result) return false;
+
+    if (typeof result === 'object') {
+      return Boolean(result.timedOut || result.signal || result.error) ||
+        (typeof result.exitCode === 'number' && result.exitCode !== 0);
     }
+
+    return /^\[(ERROR|TIMEOUT|KILLED|EXIT CODE|STDERR)/.test(result);
   }
 
-  isError(output) {
-    if (!output) return false;
 
-    const errorPatterns = [
-      /^\[ERROR/,
-      /^\[TIMEOUT/,
-      /^\[KILLED/,
-      /^\[EXIT CODE/,
-      /^\[STDERR/,
-      /command not found/i,
-      /no such file/i,
-      /permission denied/i,
-      /cannot find/i,
-      /fatal:/i
-    ];
+  getOutputPath() {
+    // Standalone render() has no config; links are then relative to the cwd
+    const config = this.config || {};
+    if (config.outputs && config.outputs.length > 0 && !this.options.output) {
+      return config.outputs[0].path;
+    }
+    return config.output || this.options.output || 'CURRENT_TRUTH.md';
+  }
+
+  /**
+   * Files a run writes: every `outputs:` entry, or the output file in the
+   * --format. An --output on the command line writes just that file.
+   * Each is { output, format, template, sections }.
+   */
+  getOutputs() {
+    if (!this.config.outputs || this.config.outputs.length === 0 || this.options.output) {
+      return [{ output: this.getOutputPath(), format: this.options.format }];
+    }
+
+    return this.config.outputs.map(({ path: output, format, template, sections }) => ({
+      output,
+      format: format || (template ? 'markdown' : FORMAT_EXTENSIONS[path.extname(output).toLowerCase()]) || 'markdown',
+      template,
+      sections
+    }));
+  }
 
-    return errorPatterns.some(pattern => pattern.test(output));
+  /**
+   * This instance as one output sees it: its own path and template, and only
+   * the results sections (and warnings) it lists
+   */
+  outputView({ output, template, sections } = {}) {
+    const view = Object.create(this);
+    view.config = { ...this.config, output: output || this.getOutputPath() };
+    if (template) view.config.template = template;
+
+    if (sections) {
+      view.results = { meta: this.results.meta };
+      for (const section of sections.filter(name => name in this.results)) {
+        view.results[section] = this.results[section];
+      }
+      view.errors = sections.includes('warnings') ? this.errors : [];
+    }
+
+    return view;
   }
 
-  async save() {
-    const outputPath = this.config.output || this.options.output || 'CURRENT_TRUTH.md';
+  render(format = this.options.format) {
+    return getFormatter(format).render(this.results, this);
+  }
+
+  /**
+   * Turn a rendered truth file back into results for --check
+   */
+  parseOutput(content, format = this.options.format) {
+    // A custom layout can't be parsed back, so it's compared as a whole
+    if (format === 'markdown' && this.getTemplatePath()) {
+      return { meta: {}, document: content };
+    }
+
+    const formatter = getFormatter(format);
+    return formatter.parse ? formatter.parse(content) : parseTruth(content, format);
+  }
+
+  /**
+   * Render the collected results and write them to the output file
+   */
+  async save({ output = this.getOutputPath(), format = this.options.format, template, sections } = {}) {
+    const outputPath = output;
 
     // Ensure output directory exists
     const outputDir = path.dirname(outputPath);
@@ -377,27 +1298,32 @@ class DocTruth {
       fs.mkdirSync(outputDir, { recursive: true });
     }
 
-    let content;
-    switch (this.options.format) {
-      case 'json':
-        content = this.toJSON();
-        break;
-      case 'html':
-        content = this.toHTML();
-        break;
-      default:
-        content = this.toMarkdown();
-    }
+    const content = this.outputView({ output, template, sections }).render(format);
 
     fs.writeFileSync(outputPath, content, 'utf8');
 
     this.log(`Truth saved to ${outputPath}`, 'success');
+    this.emit('save', { path: outputPath, format });
 
     const stats = fs.statSync(outputPath);
     this.log(`File size: ${(stats.size / 1024).toFixed(1)}KB`, 'debug');
+
+    return outputPath;
+  }
+
+  /**
+   * The `template:` file, relative to the config file
+   */
+  getTemplatePath() {
+    const template = this.config && this.config.template;
+    return template ? path.resolve(path.dirname(path.resolve(this.configPath)), template) : null;
   }
 
   toMarkdown() {
+    if (this.getTemplatePath()) {
+      return renderTemplate(this, this.getTemplatePath());
+    }
+
     const md = [];
     const meta = this.results.meta;
 
@@ -407,27 +1333,69 @@ class DocTruth {
     md.push(`Generation Time: ${meta.generationTime}`);
     md.push('');
 
+    for (const section of this.markdownSections()) {
+      md.push(section.heading);
+      md.push(...section.body);
+    }
+
+    // Footer
+    md.push('---');
+    md.push(`*Generated by [DocTruth](${homepage}) - The Universal Documentation Truth System*`);
+    md.push(`*Config: ${this.configPath}*`);
+
+    return md.join('\n');
+  }
+
+  /**
+   * Markdown sections in document order, keyed by title so they can be
+   * rendered on their own (e.g. into marker regions of other docs)
+   */
+  markdownSections() {
+    const sections = [];
+    const add = (title, heading, body) => sections.push({ title, heading, body });
+
     // Errors/Warnings
     if (this.errors.length > 0) {
-      md.push('## ⚠️ Warnings');
+      const body = [];
       for (const error of this.errors) {
-        md.push(`- **${error.type}**: ${error.source} - ${error.message}`);
+        body.push(`- **${error.type}**: ${error.source} - ${error.message}`);
       }
-      md.push('');
+      body.push('');
+      add('Warnings', '## ⚠️ Warnings', body);
     }
 
     // Status Summary
     if (this.results.validations) {
       const passed = this.results.validations.filter(v => v.passed).length;
-      const total = this.results.validations.length;
-      md.push(`## Status: ${passed}/${total} validations passed`);
-      md.push('');
+      const skipped = this.results.validations.filter(v => v.skipped).length;
+      const total = this.results.validations.length - skipped;
+      add('Status', `## Status: ${passed}/${total} validations passed${skipped > 0 ? ` (${skipped} skipped)` : ''}`, ['']);
+    }
+
+    // Workspace packages
+    if (this.results.workspaces) {
+      const outputDir = path.dirname(this.getOutputPath());
+      const body = [''];
+      body.push('| Status | Package | Path | Validations | Warnings | Truth |');
+      body.push('|--------|---------|------|-------------|----------|-------|');
+
+      for (const workspace of this.results.workspaces) {
+        if (workspace.status === 'skipped') {
+          body.push(`| ➖ | ${workspace.name} | ${workspace.path} | - | - | no config |`);
+          continue;
+        }
+
+        const link = toPosix(path.relative(outputDir, workspace.output));
+        body.push(`| ${workspace.status === 'pass' ? '✅' : '❌'} | ${workspace.name} | ${workspace.path} | ` +
+          `${workspace.passedValidations}/${workspace.validations} | ${workspace.warnings} | [${path.basename(workspace.output)}](${link}) |`);
+      }
+      body.push('');
+      add('Workspaces', '## Workspaces', body);
     }
 
     // Truth Sources
     if (this.results.sources) {
-      md.push('## Project State');
-      md.push('');
+      const body = [''];
 
       // Group by category if categories exist
       const categories = {};
@@ -439,257 +1407,520 @@ class DocTruth {
 
       for (const [category, sources] of Object.entries(categories)) {
         if (Object.keys(categories).length > 1) {
-          md.push(`### ${category}`);
-          md.push('');
+          body.push(`### ${category}`);
+          body.push('');
         }
 
         for (const source of sources) {
-          md.push(`#### ${source.name}${source.essential ? ' [ESSENTIAL]' : ''}`);
-          md.push('```bash');
-          md.push(`$ ${source.command}`);
-
-          if (source.output) {
-            const lines = source.output.split('\n');
-            const maxLines = 100;
-
-            if (lines.length > maxLines) {
-              md.push(lines.slice(0, maxLines).join('\n'));
-              md.push(`\n... (${lines.length - maxLines} more lines truncated)`);
-            } else {
-              md.push(source.output);
-            }
-          }
-
-          md.push('```');
-          md.push('');
+          body.push(`#### ${source.name}${source.essential ? ' [ESSENTIAL]' : ''}${source.cached ? ' [CACHED]' : ''}${source.skipped ? ' [SKIPPED]' : ''}`);
+          body.push(...this.markdownSource(source));
+          body.push('');
         }
       }
+      add('Project State', '## Project State', body);
     }
 
     // Validations
     if (this.results.validations && this.results.validations.length > 0) {
-      md.push('## Validation Results');
-      md.push('');
-      md.push('| Status | Validation | Result | Required |');
-      md.push('|--------|------------|--------|----------|');
+      const body = [''];
+      body.push('| Status | Validation | Result | Required |');
+      body.push('|--------|------------|--------|----------|');
 
       for (const validation of this.results.validations) {
-        const status = validation.passed ? '✅' : '❌';
+        const status = validation.skipped ? '⏭️' : validation.passed ? '✅' : '❌';
         const required = validation.required ? 'Yes' : 'No';
-        const output = validation.output.replace(/\|/g, '\\|').substring(0, 50);
-        md.push(`| ${status} | ${validation.name} | ${output} | ${required} |`);
+        const output = this.validationResult(validation, 50).replace(/\|/g, '\\|');
+        body.push(`| ${status} | ${validation.name} | ${output} | ${required} |`);
       }
-      md.push('');
+      body.push('');
+      add('Validation Results', '## Validation Results', body);
     }
 
     // Examples
     if (this.results.examples && this.results.examples.length > 0) {
-      md.push('## Working Examples');
-      md.push('');
-      md.push('```bash');
+      const body = [''];
+      body.push('```bash');
       for (const example of this.results.examples) {
-        md.push(`# ${example.name}`);
+        body.push(`# ${example.name}`);
         if (example.description) {
-          md.push(`# ${example.description}`);
+          body.push(`# ${example.description}`);
+        }
+        body.push(example.skipped ? `# Skipped: ${example.skipped}` : example.command);
+        if (example.verified) {
+          body.push(example.passed ? '# ✅ Verified' : `# ❌ Failed: ${example.failure}`);
+          if (example.excerpt) {
+            body.push(...example.excerpt.split('\n').map(line => `# > ${line}`.trimEnd()));
+          }
         }
-        md.push(example.command);
-        md.push('');
+        body.push('');
       }
-      md.push('```');
-      md.push('');
+      body.push('```');
+      body.push('');
+      add('Working Examples', '## Working Examples', body);
     }
 
     // Benchmarks
     if (this.results.benchmarks && this.results.benchmarks.length > 0) {
-      md.push('## Performance Metrics');
-      md.push('');
-      md.push('| Metric | Value |');
-      md.push('|--------|-------|');
+      const body = [''];
+      body.push('| Metric | Value | Trend | Delta |');
+      body.push('|--------|-------|-------|-------|');
       for (const benchmark of this.results.benchmarks) {
-        const value = benchmark.value + (benchmark.unit ? ` ${benchmark.unit}` : '');
-        md.push(`| ${benchmark.name} | ${value} |`);
+        const value = this.displayValue(benchmark, benchmark.value) + (benchmark.unit && !benchmark.skipped ? ` ${benchmark.unit}` : '');
+        body.push(`| ${benchmark.name} | ${value} | ${formatTrend(benchmark)} | ${formatDelta(benchmark)} |`);
       }
-      md.push('');
+      body.push('');
+      add('Performance Metrics', '## Performance Metrics', body);
     }
 
     // Platform
     if (this.results.platform && this.results.platform.length > 0) {
-      md.push('## Environment');
-      md.push('');
+      const body = [''];
       for (const item of this.results.platform) {
-        md.push(`- **${item.name}**: ${item.value}`);
+        body.push(`- **${item.name}**: ${this.displayValue(item, item.value)}`);
       }
-      md.push('');
+      body.push('');
+      add('Environment', '## Environment', body);
     }
 
-    // Footer
-    md.push('---');
-    md.push('*Generated by [DocTruth](https://github.com/yourusername/doctruth) - The Universal Documentation Truth System*');
-    md.push(`*Config: ${this.configPath}*`);
+    return sections;
+  }
 
-    return md.join('\n');
+  markdownSource(source) {
+    if (source.skipped) {
+      return [`*Skipped: ${source.skipped}*`];
+    }
+
+    const md = [];
+    md.push('```bash');
+    md.push(source.type ? `# ${source.command}` : `$ ${source.command}`);
+
+    const output = this.displayOutput(source);
+    if (output) {
+      const lines = output.split('\n');
+      const maxLines = (this.config && this.config.max_output_lines) ?? DEFAULT_MAX_OUTPUT_LINES;
+
+      if (maxLines > 0 && lines.length > maxLines) {
+        md.push(lines.slice(0, maxLines).join('\n'));
+        md.push(`\n... (${lines.length - maxLines} more lines truncated)`);
+      } else {
+        md.push(output);
+      }
+    }
+
+    md.push('```');
+    return md;
   }
 
-  toJSON() {
-    return JSON.stringify(this.results, null, 2);
+  /**
+   * Render a named source or Markdown section for a marker region
+   */
+  renderRegion(name) {
+    const source = (this.results.sources || []).find(s => s.name === name);
+    if (source) {
+      return ['```', this.displayOutput(source), '```'].join('\n');
+    }
+
+    const section = this.markdownSections().find(s => s.title === name);
+    if (section) {
+      if (section.title === 'Status') {
+        return section.heading.replace(/^## /, '');
+      }
+      return section.body.join('\n').trim();
+    }
+
+    return null;
   }
 
-  toHTML() {
-    // Simple HTML output - can be enhanced with templates
-    const html = [];
-
-    html.push('<!DOCTYPE html>');
-    html.push('<html lang="en">');
-    html.push('<head>');
-    html.push('  <meta charset="UTF-8">');
-    html.push('  <meta name="viewport" content="width=device-width, initial-scale=1.0">');
-    html.push(`  <title>${this.results.meta.project} - Current Truth</title>`);
-    html.push('  <style>');
-    html.push('    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }');
-    html.push('    .container { max-width: 1200px; margin: 0 auto; padding: 20px; }');
-    html.push('    pre { background: #f6f8fa; padding: 16px; border-radius: 6px; overflow-x: auto; }');
-    html.push('    .success { color: #28a745; }');
-    html.push('    .error { color: #dc3545; }');
-    html.push('    .warning { color: #ffc107; }');
-    html.push('    table { width: 100%; border-collapse: collapse; }');
-    html.push('    th, td { padding: 8px; text-align: left; border-bottom: 1px solid #dee2e6; }');
-    html.push('  </style>');
-    html.push('</head>');
-    html.push('<body>');
-    html.push('  <div class="container">');
-
-    // Convert markdown to HTML (simplified)
-    const markdown = this.toMarkdown();
-    const lines = markdown.split('\n');
-    let inCodeBlock = false;
-
-    for (const line of lines) {
-      if (line.startsWith('```')) {
-        inCodeBlock = !inCodeBlock;
-        if (inCodeBlock) {
-          html.push('<pre><code>');
-        } else {
-          html.push('</code></pre>');
+  getInjectFiles() {
+    const files = (this.config || {}).inject || [];
+    return Array.isArray(files) ? files : [files];
+  }
+
+  /**
+   * Read a doc for the checks that report line numbers (links, claims, doc
+   * tests). Inject targets are read with their regions filled from the
+   * results so far, so lines match the file this run leaves behind rather
+   * than the one `inject()` is about to rewrite.
+   */
+  readDoc(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const resolved = path.resolve(file);
+    if (!this.getInjectFiles().some(target => path.resolve(target) === resolved)) {
+      return content;
+    }
+    return injectRegions(content, name => this.renderRegion(name)).content;
+  }
+
+  /**
+   * Update doctruth:start/end regions in the files listed under `inject`.
+   * Returns the regions that were out of date; with write=false nothing is written.
+   */
+  async inject(write = true) {
+    const stale = [];
+    const patterns = this.getCheckOptions().ignorePatterns;
+
+    for (const file of this.getInjectFiles()) {
+      if (!fs.existsSync(file)) {
+        this.log(`Inject target not found: ${file}`, 'warning');
+        continue;
+      }
+
+      const content = fs.readFileSync(file, 'utf8');
+      const result = injectRegions(content, name => this.renderRegion(name), {
+        normalize: text => normalize(text, patterns)
+      });
+
+      for (const error of result.errors) {
+        this.log(`${file}:${error.line} ${error.message}`, 'warning');
+      }
+
+      for (const region of result.regions) {
+        if (!region.known) {
+          this.log(`${file}:${region.line} Unknown truth region "${region.name}"`, 'warning');
+        } else if (region.stale) {
+          stale.push({ file, ...region });
         }
-      } else if (inCodeBlock) {
-        html.push(this.escapeHtml(line));
-      } else if (line.startsWith('# ')) {
-        html.push(`<h1>${this.escapeHtml(line.substring(2))}</h1>`);
-      } else if (line.startsWith('## ')) {
-        html.push(`<h2>${this.escapeHtml(line.substring(3))}</h2>`);
-      } else if (line.startsWith('### ')) {
-        html.push(`<h3>${this.escapeHtml(line.substring(4))}</h3>`);
-      } else if (line.startsWith('- ')) {
-        html.push(`<li>${this.escapeHtml(line.substring(2))}</li>`);
-      } else if (line.trim() === '') {
-        html.push('<br>');
-      } else {
-        html.push(`<p>${this.escapeHtml(line)}</p>`);
+      }
+
+      if (write && result.content !== content) {
+        fs.writeFileSync(file, result.content, 'utf8');
+        this.log(`Updated ${result.regions.filter(r => r.stale).length} region(s) in ${file}`, 'success');
       }
     }
 
-    html.push('  </div>');
-    html.push('</body>');
-    html.push('</html>');
+    return stale;
+  }
+
+  toJSON() {
+    return JSON.stringify(this.results, null, 2);
+  }
 
-    return html.join('\n');
+  toHTML() {
+    return renderHTML(this);
   }
 
   escapeHtml(text) {
-    const map = {
-      '&': '&amp;',
-      '<': '&lt;',
-      '>': '&gt;',
-      '"': '&quot;',
-      "'": '&#039;'
-    };
-    return text.replace(/[&<>"']/g, m => map[m]);
+    return escapeHtml(text);
   }
 
   async check(showDiff = false) {
-    const outputPath = this.config.output || this.options.output || 'CURRENT_TRUTH.md';
+    const outputPath = this.getOutputPath();
 
     if (!fs.existsSync(outputPath)) {
       this.log('No previous truth file found', 'warning');
       return true; // Changed (needs generation)
     }
 
-    // Generate new content
-    await this.generate();
-    const newContent = fs.readFileSync(outputPath, 'utf8');
+    // Collect in memory so the committed file stays untouched
+    await this.collect();
 
-    // Read old content
-    const oldPath = outputPath + '.old';
-    if (fs.existsSync(outputPath)) {
-      fs.copyFileSync(outputPath, oldPath);
-    }
-
-    const oldContent = fs.readFileSync(oldPath, 'utf8');
+    this.changes = await this.compareOutput();
 
-    // Clean up
-    fs.unlinkSync(oldPath);
+    // Every package's truth file is checked in the same run
+    for (const workspace of this.workspaces) {
+      const changes = await this.inWorkspace(workspace, () => workspace.doctruth.compareOutput());
+      this.changes.push(...changes.map(change => ({ ...change, section: `${workspace.path}/${change.section}` })));
+    }
 
-    if (oldContent === newContent) {
+    if (this.changes.length === 0) {
       return false; // No changes
     }
 
+    for (const change of this.changes) {
+      const label = change.section === 'meta' ? `meta.${change.name}` : `${change.section}: ${change.name}`;
+      this.log(`${change.type} ${label}${change.field ? ` (${change.field})` : ''}`, 'warning');
+    }
+
     if (showDiff) {
-      this.showDiff(oldContent, newContent);
+      this.showDiff(this.changes);
     }
 
     return true; // Changed
   }
 
-  showDiff(oldContent, newContent) {
-    const oldLines = oldContent.split('\n');
-    const newLines = newContent.split('\n');
+  /**
+   * Compare the collected results with the output files and the marker
+   * regions in other docs. Returns the changes; nothing is written.
+   */
+  async compareOutput() {
+    const changes = [];
+    const seen = new Set();
+
+    // A change seen in several outputs (e.g. Markdown and JSON) is listed once
+    for (const output of this.getOutputs()) {
+      for (const change of this.compareFile(output)) {
+        const key = JSON.stringify([change.type, change.section, change.name, change.field]);
+        if (!seen.has(key)) {
+          seen.add(key);
+          changes.push(change);
+        }
+      }
+    }
+
+    // Claims, verified examples and doc tests must hold, whatever the committed file says
+    for (const claim of (this.results.claims || []).filter(c => c.passed === false)) {
+      changes.push({ type: 'failing', section: 'claims', name: claim.name, after: claim.failure });
+    }
+
+    for (const example of (this.results.examples || []).filter(e => e.verified && !e.passed)) {
+      changes.push({ type: 'failing', section: 'examples', name: example.name, after: example.failure });
+    }
+
+    for (const doctest of (this.results.doctests || []).filter(d => !d.passed)) {
+      changes.push({ type: 'failing', section: 'doctests', name: doctest.name, after: doctest.failure });
+    }
+
+    // Embedded regions must be current too
+    for (const region of await this.inject(false)) {
+      changes.push({
+        type: 'stale',
+        section: 'inject',
+        name: `${region.file}:${region.line} ${region.name}`,
+        before: region.before,
+        after: region.after
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Compare one output file with what would be written to it now, and look
+   * for secrets in either version
+   */
+  compareFile({ output: outputPath, format, template, sections }) {
+    if (!fs.existsSync(outputPath)) {
+      return [{ type: 'missing', section: 'output', name: outputPath }];
+    }
+
+    const view = this.outputView({ output: outputPath, template, sections });
+    const oldContent = fs.readFileSync(outputPath, 'utf8');
+    const newContent = view.render(format);
+
+    let previous;
+    try {
+      previous = view.parseOutput(oldContent, format);
+    } catch (error) {
+      throw new Error(`Cannot read ${outputPath} as ${format}: ${error.message}`);
+    }
+
+    // Render and re-parse the new results so both sides go through the same format
+    const changes = compareResults(previous, view.parseOutput(newContent, format), this.getCheckOptions())
+      .map(change => (change.section === 'document' ? { ...change, name: outputPath } : change));
+
+    // Secrets in the committed file or in what would be written fail the check
+    const detectors = configDetectors(this.config);
+    const secrets = new Map();
+    for (const content of [oldContent, newContent]) {
+      for (const secret of findSecrets(content, detectors)) {
+        secrets.set(`${secret.line} ${secret.detector}`, secret);
+      }
+    }
+    for (const secret of secrets.values()) {
+      changes.push({ type: 'secret', section: 'output', name: `${outputPath}:${secret.line}`, field: secret.detector });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Configured items by results section
+   */
+  configSections() {
+    return {
+      sources: this.config.truth_sources || [],
+      validations: this.config.validations || [],
+      examples: this.config.working_examples || [],
+      benchmarks: this.config.benchmarks || [],
+      platform: this.config.platform || []
+    };
+  }
+
+  getCheckOptions() {
+    const check = this.config.check || {};
+    const volatileItems = {};
 
+    // Items marked `volatile: true` are listed but never compared
+    for (const [section, items] of Object.entries(this.configSections())) {
+      volatileItems[section] = (items || []).filter(item => item.volatile).map(item => item.name);
+    }
+
+    return {
+      volatileFields: check.volatile_fields || [],
+      ignorePatterns: check.ignore_patterns || [],
+      volatileItems
+    };
+  }
+
+  showDiff(changes) {
     console.log('\nDifferences found:');
     console.log('==================\n');
 
-    for (let i = 0; i < Math.max(oldLines.length, newLines.length); i++) {
-      if (oldLines[i] !== newLines[i]) {
-        if (oldLines[i] !== undefined) {
-          console.log(chalk.red(`- ${oldLines[i]}`));
-        }
-        if (newLines[i] !== undefined) {
-          console.log(chalk.green(`+ ${newLines[i]}`));
+    for (const change of changes) {
+      const field = change.field ? ` (${change.field})` : '';
+      console.log(chalk.bold(`${change.section}: ${change.name}${field}`));
+
+      if (change.type === 'added') {
+        console.log(chalk.green('+ added'));
+      } else if (change.type === 'removed') {
+        console.log(chalk.red('- removed'));
+      } else if (change.type === 'missing') {
+        console.log(chalk.yellow('! not generated yet'));
+      } else if (change.type === 'secret') {
+        console.log(chalk.red('! unredacted secret'));
+      } else if (change.type === 'failing') {
+        const kind = change.section.split('/').pop();
+        console.log(chalk.red(`! ${FAILING_LABELS[kind] || kind} fails: ${change.after}`));
+      } else {
+        const oldLines = String(change.before ?? '').split('\n');
+        const newLines = String(change.after ?? '').split('\n');
+
+        for (let i = 0; i < Math.max(oldLines.length, newLines.length); i++) {
+          if (oldLines[i] !== newLines[i]) {
+            if (oldLines[i] !== undefined) {
+              console.log(chalk.red(`- ${oldLines[i]}`));
+            }
+            if (newLines[i] !== undefined) {
+              console.log(chalk.green(`+ ${newLines[i]}`));
+            }
+          }
         }
       }
+      console.log('');
     }
   }
 
+  /**
+   * Regenerate whenever watched files change. Changes are debounced and
+   * coalesced; only items whose `inputs:` match a changed file re-run.
+   */
   async watch() {
     this.log('Watching for changes... (Press Ctrl+C to stop)', 'info');
 
     // Initial generation
     await this.generate();
 
-    // Set up file watcher
-    const watchPaths = [
-      'lib', 'src', 'bin', 'test', 'tests',
-      'package.json', this.configPath,
-      ...this.config.watch_paths || []
-    ].filter(p => fs.existsSync(p));
+    this.startWatcher();
+    return this.watcher;
+  }
 
-    const watcher = chokidar.watch(watchPaths, {
+  getWatchPaths() {
+    const items = Object.values(this.configSections()).flat();
+    const inputs = items.flatMap(item => [].concat(item.inputs || []));
+
+    return [...new Set([
+      this.configPath,
+      ...(this.getTemplatePath() ? [this.getTemplatePath()] : []),
+      ...this.getOutputs().filter(output => output.template).map(output => this.outputView({ template: output.template }).getTemplatePath()),
+      ...this.config.watch_paths || [],
+      ...inputs,
+      ...(items.some(item => !item.inputs) ? DEFAULT_WATCH_PATHS : [])
+    ])].filter(p => hasMagic(p) || fs.existsSync(p));
+  }
+
+  startWatcher() {
+    this.watcher = chokidar.watch(this.getWatchPaths(), {
       persistent: true,
       ignoreInitial: true,
       ignored: [
         '**/node_modules/**',
         '**/.git/**',
         '**/CURRENT_TRUTH*',
-        '**/.doctruth/**'
+        '**/.doctruth/**',
+        // Files we write ourselves must not retrigger a run
+        ...this.getOutputs().map(output => path.resolve(output.output)),
+        ...this.getInjectFiles()
       ]
     });
 
-    watcher.on('all', async (event, filepath) => {
-      this.log(`Change detected: ${event} ${filepath}`, 'info');
-      await this.generate();
+    this.watcher.on('all', (event, filepath) => {
+      this.log(`Change detected: ${event} ${filepath}`, 'debug');
+      this.queueChange(filepath);
+    });
+  }
+
+  /**
+   * Collect a changed file and schedule one regeneration for the whole burst
+   */
+  queueChange(filepath) {
+    this.pendingChanges.add(toPosix(path.relative(process.cwd(), path.resolve(filepath))));
+
+    const debounce = this.config.watch_debounce ?? DEFAULT_WATCH_DEBOUNCE;
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.flushChanges(), debounce);
+  }
+
+  flushChanges() {
+    // A run in progress picks up new changes when it finishes
+    if (this.running || this.pendingChanges.size === 0) return this.running;
+
+    const files = [...this.pendingChanges];
+    this.pendingChanges.clear();
+
+    this.running = this.regenerate(files)
+      .catch(error => this.log(`Regeneration failed: ${error.message}`, 'error'))
+      .finally(() => {
+        this.running = null;
+        this.flushChanges();
+      });
+
+    return this.running;
+  }
+
+  /**
+   * Whether an item has to re-run after these files changed.
+   * Items without `inputs:` always re-run.
+   */
+  isAffected(item, files) {
+    if (!item.inputs) return true;
+    if (files.some(file => matches(file, item.inputs))) return true;
+
+    // Results built from another source's output change with it
+    const sources = this.config.truth_sources || [];
+    return sourceReferences(item).some(name => {
+      const source = sources.find(s => s.name === name);
+      return !source || this.isAffected(source, files);
     });
+  }
+
+  async regenerate(files) {
+    const configPath = path.resolve(this.configPath);
+    this.log(`${files.length} file(s) changed`, 'info');
+
+    // A new config can change every item, so start over
+    if (files.some(file => path.resolve(file) === configPath)) {
+      await this.loadConfig();
+      await this.generate();
+      await this.watcher.close();
+      this.startWatcher();
+      return;
+    }
+
+    this.reusable = new Map([...this.executions].filter(([item]) => !this.isAffected(item, files)));
+    this.emit('change', { files, reused: this.reusable.size });
 
-    // Keep process alive
-    process.stdin.resume();
+    try {
+      await this.generate();
+    } finally {
+      this.reusable = null;
+    }
+  }
+
+  /**
+   * Stop watching: close the watcher and wait for a running regeneration
+   */
+  async close() {
+    clearTimeout(this.debounceTimer);
+    this.pendingChanges.clear();
+
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+
+    if (this.running) {
+      await this.running;
+    }
   }
 
   initConfig(preset = null) {
@@ -718,8 +1949,9 @@ class DocTruth {
       config = this.autoDetectConfig();
     }
 
-    // Save config
-    const yamlStr = yaml.dump(config, { indent: 2, lineWidth: 120 });
+    // Save config; the schema comment gives editors completion and checks
+    const yamlStr = `# yaml-language-server: $schema=${schema.$id}\n` +
+      yaml.dump(config, { indent: 2, lineWidth: 120 });
     fs.writeFileSync(configPath, yamlStr, 'utf8');
 
     this.log(`Created ${configPath}`, 'success');
@@ -842,15 +2074,35 @@ class DocTruth {
       platform: [
         {
           name: 'Operating System',
-          command: 'uname -s 2>/dev/null || echo "Windows"'
+          command: { win32: 'ver', default: 'uname -s' }
         },
         {
           name: 'Current Directory',
-          command: 'pwd || cd'
+          command: { win32: 'cd', default: 'pwd' }
         }
       ]
     };
   }
 }
 
-module.exports = DocTruth;
\ No newline at end of file
+/**
+ * Render a results object (from run(), JSON output or a snapshot) without a config
+ */
+function render(results, format = 'markdown', errors = []) {
+  const doctruth = new DocTruth({ silent: true });
+  doctruth.results = results;
+  doctruth.errors = errors;
+  return doctruth.render(format);
+}
+
+module.exports = DocTruth;
+module.exports.DocTruth = DocTruth;
+module.exports.render = render;
+module.exports.renderMarkdown = (results, errors) => render(results, 'markdown', errors);
+module.exports.renderJSON = (results, errors) => render(results, 'json', errors);
+module.exports.renderHTML = (results, errors) => render(results, 'html', errors);
+module.exports.parseTruth = parseTruth;
+module.exports.compareResults = compareResults;
+module.exports.registerSourceType = registerSourceType;
+module.exports.registerAssertion = registerAssertion;
+module.exports.registerFormatter = registerFormatter;
\ No newline at end of file
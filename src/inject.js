@@ -0,0 +1,97 @@
+/**
+ * DocTruth - Doc Injection
+ * Keeps regions of existing docs, delimited by marker comments, in sync with the truth
+ *
+ *   <!-- doctruth:start Node Version -->
+ *   ...replaced on every run...
+ *   <!-- doctruth:end -->
+ */
+
+const { proseLines } = require('./links');
+
+const START_MARKER = /^\s*<!--\s*doctruth:start\s+(.+?)\s*-->\s*$/;
+const END_MARKER = /^\s*<!--\s*doctruth:end\s*-->\s*$/;
+
+/**
+ * Locate marker regions in a document. Markers inside fenced code blocks are
+ * examples, not regions. Line numbers are 1-based and point at the start marker.
+ */
+function findRegions(content) {
+  const lines = content.split(/\r?\n/);
+  const regions = [];
+  const errors = [];
+  let open = null;
+
+  proseLines(content).forEach(([line, lineNumber]) => {
+    const index = lineNumber - 1;
+    const start = line.match(START_MARKER);
+
+    if (start) {
+      if (open) {
+        errors.push({ line: lineNumber, message: `Nested doctruth:start inside "${open.name}"` });
+      }
+      open = { name: start[1], start: index, line: lineNumber };
+    } else if (END_MARKER.test(line)) {
+      if (!open) {
+        errors.push({ line: lineNumber, message: 'doctruth:end without matching doctruth:start' });
+        return;
+      }
+      regions.push({ ...open, end: index, body: lines.slice(open.start + 1, index).join('\n') });
+      open = null;
+    }
+  });
+
+  if (open) {
+    errors.push({ line: open.line, message: `Unclosed doctruth:start "${open.name}"` });
+  }
+
+  return { lines, regions, errors };
+}
+
+/**
+ * Replace every region with render(name). Regions whose name render() does
+ * not know (returns null) are left untouched and reported as unknown.
+ */
+function injectRegions(content, render, options = {}) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const normalize = options.normalize || (text => text);
+  const { lines, regions, errors } = findRegions(content);
+  const report = [];
+  const output = [];
+  let cursor = 0;
+
+  for (const region of regions) {
+    const rendered = render(region.name);
+    const known = rendered !== null && rendered !== undefined;
+    const stale = known && normalize(region.body.trim()) !== normalize(String(rendered).trim());
+
+    report.push({
+      name: region.name,
+      line: region.line,
+      known,
+      stale,
+      before: region.body,
+      after: known ? String(rendered) : null
+    });
+
+    output.push(...lines.slice(cursor, region.start + 1));
+    if (known) {
+      output.push(...String(rendered).replace(/\s+$/, '').split('\n'));
+    } else {
+      output.push(...lines.slice(region.start + 1, region.end));
+    }
+    cursor = region.end;
+  }
+  output.push(...lines.slice(cursor));
+
+  return {
+    content: output.join(eol),
+    regions: report,
+    errors
+  };
+}
+
+module.exports = {
+  findRegions,
+  injectRegions
+};
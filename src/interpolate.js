@@ -0,0 +1,269 @@
+/**
+ * DocTruth - Interpolation
+ * ${vars.name} and ${env.NAME} in config values, and ${sources.<name>.output}
+ * references between items, run in dependency order
+ */
+
+const { suggest } = require('./schema');
+const { whenSource } = require('./conditions');
+
+// Other ${...} forms are left alone for the shell; "$${" escapes
+const REFERENCE = /(\$?)\$\{(env|vars|sources)\.([^}]+?)\}/g;
+const SOURCE_FIELDS = ['output', 'exitCode', 'stderr'];
+
+const ITEM_SECTIONS = ['truth_sources', 'validations', 'working_examples', 'benchmarks', 'platform'];
+
+function formatPath(path) {
+  return path.reduce((text, key) => (typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key), '');
+}
+
+/**
+ * Apply fn to every string in a value; returns the value itself when
+ * nothing changed
+ */
+function mapStrings(value, fn, path = []) {
+  if (typeof value === 'string') return fn(value, path);
+
+  if (Array.isArray(value)) {
+    const mapped = value.map((item, index) => mapStrings(item, fn, [...path, index]));
+    return mapped.some((item, index) => item !== value[index]) ? mapped : value;
+  }
+
+  if (value && typeof value === 'object') {
+    let changed = false;
+    const mapped = {};
+    for (const [key, item] of Object.entries(value)) {
+      mapped[key] = mapStrings(item, fn, [...path, key]);
+      changed = changed || mapped[key] !== item;
+    }
+    return changed ? mapped : value;
+  }
+
+  return value;
+}
+
+/**
+ * Split "Name.output" into the source name and field
+ */
+function parseSourceReference(ref) {
+  const dot = ref.lastIndexOf('.');
+  const field = ref.slice(dot + 1);
+  return dot > 0 && SOURCE_FIELDS.includes(field) ? { name: ref.slice(0, dot), field } : { name: ref, field: null };
+}
+
+/**
+ * Resolve the `vars:` block; values may use ${env.X} and other vars
+ */
+function resolveVars(vars = {}, env = process.env) {
+  const resolved = {};
+  const problems = [];
+  const resolving = [];
+
+  const resolveVar = name => {
+    if (name in resolved) return resolved[name];
+
+    if (resolving.includes(name)) {
+      const cycle = [...resolving.slice(resolving.indexOf(name)), name].map(n => `vars.${n}`);
+      throw Object.assign(new Error(`Circular variable references: ${cycle.join(' → ')}`), { path: ['vars', name] });
+    }
+
+    resolving.push(name);
+    const value = vars[name];
+    resolved[name] = typeof value === 'string'
+      ? value.replace(REFERENCE, (match, escape, scope, key) => {
+        if (escape) return match.slice(1);
+        if (scope === 'env') return env[key] ?? '';
+        if (scope === 'sources') {
+          throw Object.assign(new Error(`Variables can't reference sources (${match})`), { path: ['vars', name], reference: match });
+        }
+        if (!(key in vars)) {
+          const suggestion = suggest(key, Object.keys(vars));
+          throw Object.assign(new Error(`Unknown variable "vars.${key}"${suggestion ? ` (did you mean "vars.${suggestion}"?)` : ''}`), { path: ['vars', name], reference: match });
+        }
+        return String(resolveVar(key));
+      })
+      : value;
+    resolving.pop();
+    return resolved[name];
+  };
+
+  for (const name of Object.keys(vars)) {
+    try {
+      resolveVar(name);
+    } catch (error) {
+      problems.push({ path: error.path, message: error.message, reference: error.reference });
+      resolving.length = 0;
+      resolved[name] = '';
+    }
+  }
+
+  return { vars: resolved, problems };
+}
+
+/**
+ * Substitute ${vars.x} and ${env.X} everywhere in the config except the
+ * `vars:` block itself. Source references are kept for run time.
+ * Returns { config, problems }.
+ */
+function interpolateConfig(config, env = process.env) {
+  const { vars, problems } = resolveVars(config.vars || {}, env);
+
+  const substitute = (text, path) => text.replace(REFERENCE, (match, escape, scope, name) => {
+    if (scope === 'sources') return match;
+    if (escape) return match.slice(1);
+    if (scope === 'env') return env[name] ?? '';
+
+    if (!(name in vars)) {
+      const suggestion = suggest(name, Object.keys(vars));
+      problems.push({
+        path,
+        message: `Unknown variable "vars.${name}"${suggestion ? ` (did you mean "vars.${suggestion}"?)` : ''}`,
+        reference: match
+      });
+      return match;
+    }
+    return String(vars[name]);
+  });
+
+  const interpolated = {};
+  for (const [key, value] of Object.entries(config)) {
+    interpolated[key] = key === 'vars' ? value : mapStrings(value, substitute, [key]);
+  }
+
+  return { config: interpolated, problems: problems.map(problem => ({ ...problem, where: formatPath(problem.path) })) };
+}
+
+/**
+ * Names of the sources an item references, including a `when: { source }`
+ * condition (its name is not searched)
+ */
+function sourceReferences(item) {
+  const names = new Set();
+  const { name, ...fields } = item || {};
+  if (whenSource(fields.when)) names.add(whenSource(fields.when));
+
+  mapStrings(fields, text => {
+    for (const [, escape, scope, ref] of text.matchAll(REFERENCE)) {
+      if (scope === 'sources' && !escape) names.add(parseSourceReference(ref).name);
+    }
+    return text;
+  });
+
+  return [...names];
+}
+
+/**
+ * Check every source reference and order the truth sources so each runs
+ * after the ones it references. Returns { levels, problems } where levels
+ * are lists of truth_sources indexes that can run together.
+ */
+function planSources(config) {
+  const sources = config.truth_sources || [];
+  const names = sources.map(source => source.name);
+  const problems = [];
+
+  for (const section of ITEM_SECTIONS) {
+    (config[section] || []).forEach((item, index) => {
+      mapStrings(item, (text, path) => {
+        for (const [match, escape, scope, ref] of text.matchAll(REFERENCE)) {
+          if (scope !== 'sources' || escape) continue;
+
+          const { name, field } = parseSourceReference(ref);
+          const where = formatPath([section, index, ...path]);
+          if (path[0] === 'name') {
+            problems.push({ where, message: `Names can't reference sources (${match})`, reference: match });
+          } else if (!field) {
+            problems.push({ where, message: `Reference ${match} needs a field: ${SOURCE_FIELDS.map(f => `.${f}`).join(', ')}`, reference: match });
+          } else if (!names.includes(name)) {
+            const suggestion = suggest(name, names);
+            problems.push({ where, message: `Unknown source "${name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`, reference: match });
+          }
+        }
+        return text;
+      });
+
+      const condition = whenSource(item.when);
+      if (condition && !names.includes(condition)) {
+        const suggestion = suggest(condition, names);
+        problems.push({
+          where: formatPath([section, index, 'when', 'source']),
+          message: `Unknown source "${condition}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+          reference: condition
+        });
+      }
+    });
+  }
+
+  // Depth-first: a source's level is one more than its deepest dependency
+  const levelOf = new Map();
+  const visiting = [];
+  const visit = index => {
+    if (levelOf.has(index)) return levelOf.get(index);
+
+    if (visiting.includes(index)) {
+      const cycle = [...visiting.slice(visiting.indexOf(index)), index].map(i => names[i]);
+      throw new Error(`Circular source references: ${cycle.join(' → ')}`);
+    }
+
+    visiting.push(index);
+    const deps = sourceReferences(sources[index]).map(name => names.indexOf(name)).filter(i => i !== -1);
+    const level = deps.length === 0 ? 0 : Math.max(...deps.map(visit)) + 1;
+    visiting.pop();
+
+    levelOf.set(index, level);
+    return level;
+  };
+
+  const levels = [];
+  for (let index = 0; index < sources.length; index++) {
+    try {
+      const level = visit(index);
+      (levels[level] = levels[level] || []).push(index);
+    } catch (error) {
+      problems.push({ where: formatPath(['truth_sources', index]), message: error.message, reference: names[index] });
+      return { levels: [], problems };
+    }
+  }
+
+  return { levels: levels.filter(Boolean), problems };
+}
+
+/**
+ * Quote a value as one shell word: single quotes for bash, double quotes
+ * for cmd.exe. Plain words are left as they are.
+ */
+function quoteShell(value, platform = process.platform) {
+  if (value !== '' && /^[\w@+=:,./-]+$/.test(value)) return value;
+  if (platform === 'win32') return `"${value.replace(/"/g, '""')}"`;
+  return `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Replace source references in an item with collected results; lookup(name)
+ * returns a result. The item is returned unchanged when it has none.
+ * In commands a value is quoted, so the shell never splits or runs it.
+ */
+function resolveReferences(item, lookup) {
+  const { name, ...fields } = item;
+  const resolved = mapStrings(fields, (text, path) => text.replace(REFERENCE, (match, escape, scope, ref) => {
+    if (scope !== 'sources') return match;
+    if (escape) return match.slice(1);
+
+    const { name: source, field } = parseSourceReference(ref);
+    const result = lookup(source) || {};
+    const value = String(result[field] ?? '');
+    return path[0] === 'command' ? quoteShell(value) : value;
+  }));
+
+  return resolved === fields ? item : { name, ...resolved };
+}
+
+module.exports = {
+  mapStrings,
+  resolveVars,
+  interpolateConfig,
+  sourceReferences,
+  planSources,
+  quoteShell,
+  resolveReferences
+};
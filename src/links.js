@@ -0,0 +1,175 @@
+/**
+ * DocTruth - Link Checking
+ * Checks that relative links, image paths and heading anchors in Markdown
+ * files resolve, without network access
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { glob, toPosix, DEFAULT_IGNORE } = require('./glob');
+
+const INLINE_LINK = /!?\[(?:[^\]\\]|\\.)*\]\(\s*(?:<([^>]*)>|([^)\s]*))(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+const REFERENCE_DEFINITION = /^ {0,3}\[[^\]]+\]:\s*<?([^\s>]+)>?/;
+const HTML_LINK = /<(?:a|img|source)\b[^>]*?\s(?:href|src)\s*=\s*["']([^"']*)["']/gi;
+const HTML_ANCHOR = /<[a-z]+\b[^>]*?\s(?:id|name)\s*=\s*["']([^"']+)["']/gi;
+const FENCE = /^\s*(`{3,}|~{3,})/;
+// http:, mailto:, data: and protocol-relative URLs are not checked offline
+const EXTERNAL = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+const MARKDOWN = /\.(?:md|markdown|mdx)$/i;
+
+const decode = text => {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+/**
+ * Lines of a Markdown document outside fenced code blocks, as [text, lineNumber]
+ */
+function proseLines(content) {
+  const lines = [];
+  let fence = null;
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const match = line.match(FENCE);
+    if (fence) {
+      if (match && match[1][0] === fence[0] && match[1].length >= fence.length && line.trim() === match[1]) {
+        fence = null;
+      }
+    } else if (match) {
+      fence = match[1];
+    } else {
+      lines.push([line, index + 1]);
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Link targets in a document: [{ target, line }]. Code blocks and inline code
+ * are left out.
+ */
+function extractLinks(content) {
+  const links = [];
+
+  for (const [text, line] of proseLines(content)) {
+    const prose = text.replace(/(`+)[^`]*?\1/g, '');
+    const definition = prose.match(REFERENCE_DEFINITION);
+
+    if (definition) {
+      links.push({ target: definition[1], line });
+      continue;
+    }
+    for (const pattern of [INLINE_LINK, HTML_LINK]) {
+      for (const match of prose.matchAll(pattern)) {
+        links.push({ target: match[1] ?? match[2], line });
+      }
+    }
+  }
+
+  return links;
+}
+
+/**
+ * GitHub-style anchor for a heading: lowercased, punctuation dropped, spaces
+ * turned into hyphens
+ */
+function slugify(heading) {
+  return heading
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Anchors a document defines: its headings (duplicates get -1, -2, ...) and
+ * explicit id/name attributes
+ */
+function findAnchors(content) {
+  const anchors = new Set();
+  const counts = new Map();
+  const lines = proseLines(content);
+
+  lines.forEach(([text], index) => {
+    for (const match of text.matchAll(HTML_ANCHOR)) {
+      anchors.add(match[1].toLowerCase());
+    }
+
+    const atx = text.match(/^ {0,3}#{1,6}\s+(.*?)(?:\s+#+)?\s*$/);
+    const next = lines[index + 1];
+    const setext = !atx && text.trim() !== '' && next && next[1] === lines[index][1] + 1 && /^ {0,3}(=+|-+)\s*$/.test(next[0]);
+    if (!atx && !setext) return;
+
+    const slug = slugify(atx ? atx[1] : text);
+    const count = counts.get(slug) || 0;
+    counts.set(slug, count + 1);
+    anchors.add(count === 0 ? slug : `${slug}-${count}`);
+  });
+
+  return anchors;
+}
+
+/**
+ * Check every local link in the Markdown files matching the patterns.
+ * Returns { files, links, broken: [{ file, line, target, reason }] } where
+ * links counts the local links checked. `read(path)` replaces reading files
+ * from disk.
+ */
+function checkLinks(patterns, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const read = options.read || (file => fs.readFileSync(file, 'utf8'));
+  const files = glob(patterns, { cwd, ignore: [...DEFAULT_IGNORE, ...(options.ignore || [])] });
+  const anchorCache = new Map();
+  const broken = [];
+  let checked = 0;
+
+  const anchorsOf = file => {
+    if (!anchorCache.has(file)) {
+      anchorCache.set(file, findAnchors(read(file)));
+    }
+    return anchorCache.get(file);
+  };
+
+  for (const file of files) {
+    const fullPath = path.join(cwd, file);
+
+    for (const { target, line } of extractLinks(read(fullPath))) {
+      if (!target || EXTERNAL.test(target)) continue;
+      checked++;
+
+      const [pathPart, anchor] = target.replace(/\?[^#]*/, '').split('#');
+      const decoded = decode(pathPart);
+
+      const resolved = !decoded
+        ? fullPath
+        : decoded.startsWith('/') ? path.join(cwd, decoded) : path.resolve(path.dirname(fullPath), decoded);
+
+      if (!fs.existsSync(resolved)) {
+        broken.push({ file, line, target, reason: 'file not found' });
+        continue;
+      }
+
+      if (anchor && MARKDOWN.test(resolved) && fs.statSync(resolved).isFile() &&
+          !anchorsOf(resolved).has(decode(anchor).toLowerCase())) {
+        const where = decoded ? ` in ${toPosix(path.relative(cwd, resolved))}` : '';
+        broken.push({ file, line, target, reason: `no heading #${anchor}${where}` });
+      }
+    }
+  }
+
+  return { files: files.length, links: checked, broken };
+}
+
+module.exports = {
+  extractLinks,
+  findAnchors,
+  slugify,
+  checkLinks,
+  proseLines
+};
@@ -0,0 +1,122 @@
+/**
+ * DocTruth - Plugins
+ * Loads plugins and lets them register source types, assertions,
+ * output formats and lifecycle hooks
+ */
+
+const path = require('path');
+const { sourceTypes, registerSourceType } = require('./sources');
+const { assertions, registerAssertion } = require('./assertions');
+const { formatters, registerFormatter } = require('./formatters');
+
+const HOOKS = ['beforeSource', 'afterSource', 'afterGenerate'];
+const REGISTRIES = { sourceTypes, assertions, formatters };
+
+function createHooks() {
+  return Object.fromEntries(HOOKS.map(event => [event, []]));
+}
+
+function addHook(hooks, event, fn) {
+  if (!HOOKS.includes(event)) {
+    throw new Error(`Unknown hook "${event}" (expected one of: ${HOOKS.join(', ')})`);
+  }
+  if (typeof fn !== 'function') {
+    throw new Error(`Hook "${event}" must be a function`);
+  }
+  hooks[event].push(fn);
+}
+
+/**
+ * Apply a plugin. A plugin is either a function receiving the plugin API, or
+ * an object with any of: sourceTypes, assertions, formatters, hooks and setup(api).
+ */
+function applyPlugin(plugin, hooks, options = {}) {
+  const api = {
+    options,
+    registerSourceType,
+    registerAssertion,
+    registerFormatter,
+    addHook: (event, fn) => addHook(hooks, event, fn)
+  };
+
+  if (typeof plugin === 'function') {
+    plugin(api, options);
+    return;
+  }
+
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('A plugin must be a function or an object');
+  }
+
+  for (const [name, sourceType] of Object.entries(plugin.sourceTypes || {})) {
+    registerSourceType(name, sourceType);
+  }
+  for (const [kind, evaluate] of Object.entries(plugin.assertions || {})) {
+    registerAssertion(kind, evaluate);
+  }
+  for (const [name, formatter] of Object.entries(plugin.formatters || {})) {
+    registerFormatter(name, formatter);
+  }
+  for (const [event, fns] of Object.entries(plugin.hooks || {})) {
+    [].concat(fns).forEach(fn => addHook(hooks, event, fn));
+  }
+
+  if (typeof plugin.setup === 'function') {
+    plugin.setup(api, options);
+  }
+}
+
+/**
+ * Call fn and return the names it added to each registry:
+ * { sourceTypes, assertions, formatters }
+ */
+function trackRegistrations(fn) {
+  const before = Object.fromEntries(Object.entries(REGISTRIES).map(([key, registry]) => [key, new Set(Object.keys(registry))]));
+  fn();
+  return Object.fromEntries(Object.entries(REGISTRIES).map(([key, registry]) => (
+    [key, Object.keys(registry).filter(name => !before[key].has(name))]
+  )));
+}
+
+/**
+ * Remove names returned by trackRegistrations() from the registries
+ */
+function removeRegistrations(added = {}) {
+  for (const [key, names] of Object.entries(added)) {
+    names.forEach(name => delete REGISTRIES[key][name]);
+  }
+}
+
+/**
+ * Resolve a `plugins:` entry ("./plugins/license.js", "doctruth-plugin-x" or
+ * { path, options }) relative to the config file's directory and require it
+ */
+function loadPlugin(spec, baseDir = process.cwd()) {
+  const entry = typeof spec === 'string' ? { path: spec } : (spec || {});
+  if (!entry.path) {
+    throw new Error('Plugin entries need a path or package name');
+  }
+
+  const isFile = entry.path.startsWith('.') || path.isAbsolute(entry.path);
+
+  let plugin;
+  try {
+    const resolved = isFile
+      ? path.resolve(baseDir, entry.path)
+      : require.resolve(entry.path, { paths: [baseDir, process.cwd()] });
+    plugin = require(resolved);
+  } catch (error) {
+    throw new Error(`Failed to load plugin "${entry.path}": ${error.message}`);
+  }
+
+  return { name: entry.path, plugin: plugin && plugin.default ? plugin.default : plugin, options: entry.options || {} };
+}
+
+module.exports = {
+  HOOKS,
+  createHooks,
+  applyPlugin,
+  loadPlugin,
+  trackRegistrations,
+  removeRegistrations
+};
@@ -0,0 +1,196 @@
+/**
+ * DocTruth - Test Reports
+ * JUnit XML and TAP output so CI systems show validations as test results
+ */
+
+const { describeFailure } = require('./assertions');
+
+const FAILURE_TYPES = {
+  Validations: 'ValidationFailure',
+  'Working Examples': 'ExampleFailure',
+  'Doc Tests': 'DocTestFailure',
+  Claims: 'ClaimFailure',
+  'Essential Sources': 'SourceFailure'
+};
+
+/**
+ * Test cases for a run: every validation, verified example, doc test, claim
+ * and essential source
+ */
+function collectTestCases(doctruth) {
+  const { results } = doctruth;
+  const cases = [];
+
+  for (const validation of results.validations || []) {
+    const failed = (validation.assertions || []).filter(a => !a.passed);
+    cases.push({
+      suite: 'Validations',
+      classname: 'doctruth.validations',
+      name: validation.name,
+      passed: validation.passed,
+      skipped: validation.skipped || null,
+      message: validation.passed || validation.skipped ? null : (failed.length > 0
+        ? failed.map(describeFailure).join('; ')
+        : doctruth.formatCommandError(validation) || `${validation.required ? 'Required validation' : 'Validation'} failed`),
+      output: validation.output,
+      stderr: validation.stderr,
+      duration: validation.duration
+    });
+  }
+
+  for (const example of (results.examples || []).filter(e => e.verified)) {
+    cases.push({
+      suite: 'Working Examples',
+      classname: 'doctruth.examples',
+      name: example.name,
+      passed: example.passed,
+      message: example.passed ? null : example.failure,
+      output: example.output,
+      stderr: example.stderr,
+      duration: example.duration
+    });
+  }
+
+  for (const doctest of results.doctests || []) {
+    cases.push({
+      suite: 'Doc Tests',
+      classname: 'doctruth.doctests',
+      name: doctest.name,
+      passed: doctest.passed,
+      message: doctest.passed ? null : doctest.failure,
+      output: doctest.output,
+      duration: doctest.duration
+    });
+  }
+
+  for (const claim of results.claims || []) {
+    cases.push({
+      suite: 'Claims',
+      classname: 'doctruth.claims',
+      name: claim.name,
+      passed: claim.passed,
+      skipped: claim.skipped || null,
+      message: claim.passed === false ? claim.failure : null,
+      output: claim.actual
+    });
+  }
+
+  for (const source of (results.sources || []).filter(s => s.essential)) {
+    const failed = doctruth.isError(source);
+    cases.push({
+      suite: 'Essential Sources',
+      classname: 'doctruth.sources',
+      name: source.name,
+      passed: !failed,
+      skipped: source.skipped || null,
+      message: failed ? [doctruth.formatCommandError(source), (source.stderr || '').split('\n')[0]].filter(Boolean).join(' ') : null,
+      output: source.output,
+      stderr: source.stderr,
+      duration: source.duration
+    });
+  }
+
+  return cases;
+}
+
+function escapeXml(text) {
+  const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+  // Control characters other than tab and newlines are not allowed in XML
+  return String(text ?? '').replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '').replace(/[&<>"']/g, m => map[m]);
+}
+
+function cdata(text) {
+  const clean = String(text ?? '').replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+  return `<![CDATA[${clean.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+const seconds = ms => (typeof ms === 'number' ? (ms / 1000).toFixed(3) : '0.000');
+
+/**
+ * Render validations, verified examples and essential sources as JUnit XML
+ */
+function renderJUnit(doctruth) {
+  const meta = doctruth.results.meta || {};
+  const cases = collectTestCases(doctruth);
+  const suites = [...new Set(cases.map(c => c.suite))];
+  const total = list => list.reduce((sum, c) => sum + (c.duration || 0), 0);
+  const failures = list => list.filter(c => !c.passed && !c.skipped).length;
+  const skipped = list => list.filter(c => c.skipped).length;
+
+  const xml = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  xml.push(`<testsuites name="${escapeXml(meta.project)}" tests="${cases.length}" failures="${failures(cases)}" errors="0" time="${seconds(total(cases))}">`);
+
+  for (const suite of suites) {
+    const suiteCases = cases.filter(c => c.suite === suite);
+    xml.push(`  <testsuite name="${escapeXml(suite)}" tests="${suiteCases.length}" failures="${failures(suiteCases)}" errors="0" skipped="${skipped(suiteCases)}" time="${seconds(total(suiteCases))}"${meta.generated ? ` timestamp="${escapeXml(meta.generated)}"` : ''}>`);
+
+    for (const testCase of suiteCases) {
+      xml.push(`    <testcase name="${escapeXml(testCase.name)}" classname="${testCase.classname}" time="${seconds(testCase.duration)}">`);
+      if (testCase.skipped) {
+        xml.push(`      <skipped message="${escapeXml(testCase.skipped)}"/>`);
+      } else if (!testCase.passed) {
+        xml.push(`      <failure message="${escapeXml(testCase.message)}" type="${FAILURE_TYPES[testCase.suite]}">${escapeXml(testCase.message)}</failure>`);
+      }
+      if (testCase.output) {
+        xml.push(`      <system-out>${cdata(testCase.output)}</system-out>`);
+      }
+      if (testCase.stderr) {
+        xml.push(`      <system-err>${cdata(testCase.stderr)}</system-err>`);
+      }
+      xml.push('    </testcase>');
+    }
+
+    xml.push('  </testsuite>');
+  }
+
+  xml.push('</testsuites>');
+  return xml.join('\n');
+}
+
+function yamlBlock(text, indent) {
+  return String(text).split('\n').map(line => `${indent}${line}`).join('\n');
+}
+
+/**
+ * Render validations, verified examples and essential sources as TAP version 13
+ */
+function renderTAP(doctruth) {
+  const cases = collectTestCases(doctruth);
+  const tap = ['TAP version 13', `1..${cases.length}`];
+
+  cases.forEach((testCase, index) => {
+    // "#" starts a directive in TAP, so it can't appear in descriptions
+    const description = `${testCase.suite}: ${testCase.name}`.replace(/#/g, '\\#');
+    if (testCase.skipped) {
+      tap.push(`ok ${index + 1} - ${description} # SKIP ${testCase.skipped.replace(/#/g, '\\#')}`);
+      return;
+    }
+
+    tap.push(`${testCase.passed ? 'ok' : 'not ok'} ${index + 1} - ${description}`);
+
+    if (!testCase.passed) {
+      tap.push('  ---');
+      tap.push(`  message: ${JSON.stringify(testCase.message)}`);
+      if (testCase.output) {
+        tap.push('  output: |');
+        tap.push(yamlBlock(testCase.output, '    '));
+      }
+      if (testCase.stderr) {
+        tap.push('  stderr: |');
+        tap.push(yamlBlock(testCase.stderr, '    '));
+      }
+      if (typeof testCase.duration === 'number') {
+        tap.push(`  duration_ms: ${testCase.duration}`);
+      }
+      tap.push('  ...');
+    }
+  });
+
+  return tap.join('\n') + '\n';
+}
+
+module.exports = {
+  collectTestCases,
+  renderJUnit,
+  renderTAP
+};
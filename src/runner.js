@@ -0,0 +1,169 @@
+/**
+ * DocTruth - Command Runner
+ * Executes shell commands asynchronously and bounds how many run at once
+ */
+
+const { spawn } = require('child_process');
+const os = require('os');
+
+const DEFAULT_MAX_BUFFER = 1024 * 1024 * 10; // 10MB buffer
+
+function defaultConcurrency() {
+  const cpus = os.cpus() ? os.cpus().length : 1;
+  return Math.max(1, Math.min(cpus, 8));
+}
+
+function defaultShell() {
+  return process.platform === 'win32' ? 'cmd.exe' : '/bin/bash';
+}
+
+/**
+ * Run a shell command without blocking the event loop.
+ * With `options.args` the command is run directly as an executable, without a shell.
+ * Always resolves; failures are described on the returned object.
+ */
+function execCommand(command, options = {}) {
+  const {
+    timeout = 10000,
+    shell = defaultShell(),
+    cwd,
+    env = process.env,
+    args,
+    maxBuffer = DEFAULT_MAX_BUFFER
+  } = options;
+
+  const isWindows = process.platform === 'win32';
+  const start = Date.now();
+
+  return new Promise(resolve => {
+    const stdout = [];
+    const stderr = [];
+    let size = 0;
+    let timedOut = false;
+    let error = null;
+    let settled = false;
+    let timer = null;
+    let child;
+
+    const finish = (exitCode, signal) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+
+      resolve({
+        command,
+        stdout: Buffer.concat(stdout).toString('utf8'),
+        stderr: Buffer.concat(stderr).toString('utf8'),
+        exitCode: exitCode === undefined ? null : exitCode,
+        signal: signal || null,
+        timedOut,
+        error,
+        duration: Date.now() - start
+      });
+    };
+
+    // Kill the whole process group so pipelines don't outlive the shell
+    const kill = () => {
+      try {
+        if (!isWindows && child.pid) {
+          process.kill(-child.pid, 'SIGTERM');
+        } else {
+          child.kill('SIGTERM');
+        }
+      } catch (e) {
+        // Process already exited
+      }
+    };
+
+    try {
+      child = spawn(command, args || [], {
+        shell: args ? false : shell,
+        cwd,
+        env,
+        windowsHide: true,
+        detached: !isWindows
+      });
+    } catch (spawnError) {
+      error = spawnError;
+      finish(null, null);
+      return;
+    }
+
+    const collect = target => chunk => {
+      size += chunk.length;
+      if (size > maxBuffer) {
+        if (!error) {
+          error = new Error(`Output exceeded ${maxBuffer} bytes`);
+        }
+        kill();
+        return;
+      }
+      target.push(chunk);
+    };
+
+    child.stdout.on('data', collect(stdout));
+    child.stderr.on('data', collect(stderr));
+
+    child.on('error', spawnError => {
+      error = spawnError;
+      finish(null, null);
+    });
+
+    child.on('close', (code, signal) => finish(code, signal));
+
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, timeout);
+    }
+  });
+}
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at a time.
+ * Tasks are functions returning promises; they start in the order queued.
+ */
+function createLimiter(concurrency = defaultConcurrency()) {
+  const max = Math.max(1, parseInt(concurrency, 10) || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  const limit = task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+
+  limit.concurrency = max;
+  return limit;
+}
+
+/**
+ * Map over items through a limiter, keeping results in input order
+ */
+function mapLimit(items, limit, fn) {
+  return Promise.all(items.map((item, index) => limit(() => fn(item, index))));
+}
+
+module.exports = {
+  execCommand,
+  createLimiter,
+  mapLimit,
+  defaultConcurrency,
+  defaultShell
+};
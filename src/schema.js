@@ -0,0 +1,306 @@
+/**
+ * DocTruth - Config Schema
+ * Validates .doctruth.yml against schema/doctruth.schema.json and reports
+ * problems with file:line:column locations and "did you mean" suggestions
+ */
+
+const yaml = require('js-yaml');
+const schema = require('../schema/doctruth.schema.json');
+const { sourceTypes, BUILTIN_TYPES } = require('./sources');
+const { assertions } = require('./assertions');
+
+const ITEM_SECTIONS = ['truth_sources', 'validations', 'working_examples', 'benchmarks', 'platform'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolve(node) {
+  if (!node.$ref) return node;
+  const name = node.$ref.replace('#/definitions/', '');
+  return { ...schema.definitions[name], ...node, $ref: undefined };
+}
+
+const show = value => JSON.stringify(value);
+
+/**
+ * Validate a value against a (subset of) JSON Schema draft-07.
+ * Problems are { path, message, kind, key? } with path as an array of keys.
+ */
+function validate(value, node, path = []) {
+  node = resolve(node);
+  const problems = [];
+  const add = (message, kind, extra = {}) => problems.push({ path, message, kind, ...extra });
+
+  if (node.const !== undefined && value !== node.const) {
+    add(`should be ${show(node.const)}`, 'const');
+    return problems;
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    add(`should be one of ${node.enum.map(show).join(', ')}`, 'enum', { value, candidates: node.enum });
+    return problems;
+  }
+
+  if (node.type) {
+    const types = [].concat(node.type);
+    if (!types.some(type => hasType(value, type))) {
+      add(`should be ${types.map(type => (type === 'integer' ? 'an integer' : type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`)).join(' or ')}`, 'type');
+      return problems;
+    }
+  }
+
+  for (const keyword of ['anyOf', 'oneOf']) {
+    if (!node[keyword]) continue;
+
+    const branches = node[keyword].map(branch => validate(value, branch, path));
+    const passing = branches.filter(branch => branch.length === 0).length;
+    if (keyword === 'anyOf' ? passing > 0 : passing === 1) continue;
+
+    if (passing > 1) {
+      add('matches more than one allowed form', 'oneOf');
+    } else if (branches.every(branch => branch.every(p => p.kind === 'required'))) {
+      // e.g. an item needs a command or a type
+      const keys = branches.flat().map(p => show(p.key));
+      add(`is missing ${keys.join(' or ')}`, 'required');
+    } else {
+      // Report the branch that got furthest: the one whose type matched
+      const matched = branches.filter(branch => !branch.some(p => p.kind === 'type' && p.path === path));
+      if (matched.length > 0) {
+        problems.push(...matched[0]);
+      } else {
+        const types = branches.flat().map(p => p.message.replace(/^should be /, ''));
+        add(`should be ${[...new Set(types)].join(' or ')}`, 'type');
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (node.minimum !== undefined && value < node.minimum) add(`should be >= ${node.minimum}`, 'minimum');
+    if (node.exclusiveMinimum !== undefined && value <= node.exclusiveMinimum) add(`should be > ${node.exclusiveMinimum}`, 'minimum');
+  }
+
+  if (typeof value === 'string' && node.minLength !== undefined && value.length < node.minLength) {
+    add('should not be empty', 'minLength');
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      add(node.minItems === 1 ? 'should not be empty' : `should have at least ${node.minItems} items`, 'minItems');
+    }
+    if (node.maxItems !== undefined && value.length > node.maxItems) add(`should have at most ${node.maxItems} items`, 'maxItems');
+  }
+
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, index) => problems.push(...validate(item, node.items, [...path, index])));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of node.required || []) {
+      if (!(key in value)) add(`is missing ${show(key)}`, 'required', { key });
+    }
+
+    const properties = node.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        problems.push(...validate(child, properties[key], [...path, key]));
+      } else if (node.additionalProperties === false) {
+        problems.push({ path: [...path, key], message: `Unknown key ${show(key)}`, kind: 'unknown', key, candidates: Object.keys(properties) });
+      } else if (typeof node.additionalProperties === 'object') {
+        problems.push(...validate(child, node.additionalProperties, [...path, key]));
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions)
+ */
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Closest candidate to a misspelled name, if any is close enough
+ */
+function suggest(name, candidates) {
+  const loose = text => String(text).toLowerCase().replace(/[_-]/g, '');
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    if (loose(candidate) === loose(name)) return candidate;
+
+    const d = distance(String(name), String(candidate));
+    if (d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+
+  return bestDistance <= Math.max(2, Math.floor(String(name).length / 4)) ? best : null;
+}
+
+/**
+ * Map value paths to positions in the YAML text. js-yaml reports where each
+ * node ends; a mapping's children alternate key, value.
+ */
+function buildLocator(text) {
+  const lines = text.split('\n');
+  const root = { children: [] };
+  const stack = [root];
+
+  try {
+    yaml.load(text, {
+      listener(event, state) {
+        if (event === 'open') {
+          stack.push({ children: [] });
+        } else {
+          const node = stack.pop();
+          node.result = state.result;
+          node.line = state.line;
+          node.column = state.position - state.lineStart;
+          stack[stack.length - 1].children.push(node);
+        }
+      }
+    });
+  } catch (error) {
+    return () => null;
+  }
+
+  // Scalars end where their text ends; find where it starts on that line
+  const start = node => {
+    if (node.children.length > 0) return start(node.children[0]);
+
+    const lineText = lines[node.line] || '';
+    const index = node.result === null || node.result === undefined
+      ? -1
+      : lineText.lastIndexOf(String(node.result), node.column);
+    return { line: node.line + 1, column: (index === -1 ? node.column : index) + 1 };
+  };
+
+  return path => {
+    let node = root.children[0];
+    let location = node ? start(node) : null;
+
+    for (const key of path) {
+      if (!node) break;
+
+      if (Array.isArray(node.result)) {
+        node = node.children[key];
+        if (node) location = start(node);
+      } else {
+        const index = node.children.findIndex((child, i) => i % 2 === 0 && String(child.result) === String(key));
+        if (index === -1) break;
+        location = start(node.children[index]);
+        node = node.children[index + 1];
+      }
+    }
+
+    return location;
+  };
+}
+
+function formatPath(path) {
+  return path.reduce((text, key) => (typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key), '');
+}
+
+/**
+ * Validate a parsed config. Source types and assertion kinds added by
+ * plugins are accepted, so load plugins first.
+ * Returns [{ file, line, column, path, message }].
+ */
+function validateConfig(config, text = '', file = '.doctruth.yml') {
+  const locate = buildLocator(text);
+  const problems = [];
+
+  if (typeOf(config) !== 'object') {
+    return [{ file, line: 1, column: 1, path: '', message: 'Config should be a mapping of keys to values' }];
+  }
+
+  for (const problem of validate(config, schema)) {
+    const [section, index] = problem.path;
+    const item = ITEM_SECTIONS.includes(section) && typeof index === 'number' ? config[section][index] : null;
+
+    if (problem.kind === 'unknown' && item && problem.path.length === 3) {
+      // Plugin source types take their own keys
+      if (item.type && !BUILTIN_TYPES.includes(item.type)) continue;
+      const checked = ['validations', 'working_examples'].includes(section);
+      if (checked && problem.key in assertions) continue;
+      problem.candidates = [...problem.candidates, ...(checked ? Object.keys(assertions) : [])];
+    }
+
+    problems.push(problem);
+  }
+
+  for (const section of ITEM_SECTIONS) {
+    (Array.isArray(config[section]) ? config[section] : []).forEach((item, index) => {
+      if (item && typeof item.type === 'string' && !(item.type in sourceTypes)) {
+        problems.push({
+          path: [section, index, 'type'],
+          message: `Unknown source type ${show(item.type)}`,
+          kind: 'unknownType',
+          value: item.type,
+          candidates: Object.keys(sourceTypes)
+        });
+      }
+    });
+  }
+
+  return problems.map(problem => {
+    const location = locate(problem.path) || { line: 1, column: 1 };
+    const named = ['unknown', 'unknownType'].includes(problem.kind);
+    const where = formatPath(named ? problem.path.slice(0, -1) : problem.path);
+    const name = problem.kind === 'unknown' ? problem.key : problem.value;
+    const suggestion = problem.candidates && name !== undefined ? suggest(name, problem.candidates) : null;
+
+    let message = named
+      ? `${problem.message}${where ? ` in ${where}` : ''}`
+      : `${where || 'Config'} ${problem.message}`;
+    if (suggestion) message += ` (did you mean ${show(suggestion)}?)`;
+
+    return { file, ...location, path: formatPath(problem.path), message };
+  }).sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Position of the first occurrence of text in the config, or its start
+ */
+function locateText(content, text) {
+  const index = text ? content.indexOf(text) : -1;
+  if (index === -1) return { line: 1, column: 1 };
+
+  const before = content.slice(0, index).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function formatProblem(problem) {
+  return `${problem.file}:${problem.line}:${problem.column}: ${problem.message}`;
+}
+
+module.exports = {
+  schema,
+  validate,
+  validateConfig,
+  formatProblem,
+  locateText,
+  suggest
+};
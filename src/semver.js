@@ -0,0 +1,151 @@
+/**
+ * DocTruth - Semver
+ * Just enough semantic versioning to check ranges like ">=18", "^1.2.0" or "1.x || 2.x"
+ */
+
+const VERSION_PATTERN = /v?(\d+)(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?/;
+
+/**
+ * Parse a version, tolerating a leading "v" and missing minor/patch parts.
+ * Wildcards ("x", "*") and missing parts come back as null.
+ */
+function parse(text) {
+  if (text === undefined || text === null) return null;
+
+  const value = String(text).trim();
+  if (value === '' || value === '*' || /^[xX]$/.test(value)) {
+    return { major: null, minor: null, patch: null, prerelease: null };
+  }
+
+  const match = value.match(VERSION_PATTERN);
+  if (!match) return null;
+
+  const part = p => (p === undefined || /^[xX*]$/.test(p) ? null : parseInt(p, 10));
+
+  return {
+    major: part(match[1]),
+    minor: part(match[2]),
+    patch: part(match[3]),
+    prerelease: match[4] || null
+  };
+}
+
+/**
+ * Find the first version-looking string in arbitrary output (e.g. "v20.1.0", "Python 3.11.4")
+ */
+function extract(output) {
+  const match = String(output).match(/v?\d+\.\d+(?:\.\d+)?(?:-[0-9A-Za-z.-]+)?/) ||
+    String(output).match(/v?\d+/);
+  return match ? match[0].replace(/^v/, '') : null;
+}
+
+function compare(a, b) {
+  for (const key of ['major', 'minor', 'patch']) {
+    const diff = (a[key] || 0) - (b[key] || 0);
+    if (diff !== 0) return diff < 0 ? -1 : 1;
+  }
+
+  // A prerelease sorts before its release
+  if (a.prerelease && !b.prerelease) return -1;
+  if (!a.prerelease && b.prerelease) return 1;
+  if (a.prerelease && b.prerelease && a.prerelease !== b.prerelease) {
+    return a.prerelease < b.prerelease ? -1 : 1;
+  }
+
+  return 0;
+}
+
+function version(major, minor, patch) {
+  return { major, minor, patch, prerelease: null };
+}
+
+/**
+ * Expand one comparator ("^1.2", "~1.2.3", "1.x", ">=2") into [operator, version] pairs
+ */
+function expand(comparator) {
+  const match = comparator.match(/^(\^|~|>=|<=|>|<|=)?\s*(.*)$/);
+  const operator = match[1] || '=';
+  const v = parse(match[2]);
+
+  if (!v) {
+    throw new Error(`Invalid version range: ${comparator}`);
+  }
+
+  const { major, minor, patch } = v;
+
+  if (major === null) {
+    return [];
+  }
+
+  if (operator === '^') {
+    const lower = [['>=', version(major, minor || 0, patch || 0)]];
+    if (major > 0 || minor === null) return [...lower, ['<', version(major + 1, 0, 0)]];
+    if (minor > 0 || patch === null) return [...lower, ['<', version(0, minor + 1, 0)]];
+    return [...lower, ['<', version(0, 0, patch + 1)]];
+  }
+
+  if (operator === '~') {
+    const lower = [['>=', version(major, minor || 0, patch || 0)]];
+    if (minor === null) return [...lower, ['<', version(major + 1, 0, 0)]];
+    return [...lower, ['<', version(major, minor + 1, 0)]];
+  }
+
+  // Partial versions behave like x-ranges
+  if (minor === null || patch === null) {
+    const lower = version(major, minor || 0, 0);
+    const upper = minor === null ? version(major + 1, 0, 0) : version(major, minor + 1, 0);
+
+    switch (operator) {
+      case '=': return [['>=', lower], ['<', upper]];
+      case '>': return [['>=', upper]];
+      case '>=': return [['>=', lower]];
+      case '<': return [['<', lower]];
+      case '<=': return [['<', upper]];
+    }
+  }
+
+  return [[operator, v]];
+}
+
+function test(v, [operator, target]) {
+  const result = compare(v, target);
+  switch (operator) {
+    case '>': return result > 0;
+    case '>=': return result >= 0;
+    case '<': return result < 0;
+    case '<=': return result <= 0;
+    default: return result === 0;
+  }
+}
+
+/**
+ * Check whether a version satisfies a range such as ">=14 <20 || ^22"
+ */
+function satisfies(versionText, range) {
+  const v = parse(extract(versionText) || '');
+  if (!v || v.major === null) return false;
+
+  return String(range).split('||').some(alternative => {
+    let set = alternative.trim();
+
+    // Hyphen ranges: "1.2 - 2.3.4"
+    const hyphen = set.match(/^(\S+)\s+-\s+(\S+)$/);
+    if (hyphen) {
+      set = `>=${hyphen[1]} <=${hyphen[2]}`;
+    }
+
+    const comparators = set
+      .replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    return comparators.every(comparator => expand(comparator).every(pair => test(v, pair)));
+  });
+}
+
+module.exports = {
+  parse,
+  extract,
+  compare,
+  satisfies
+};
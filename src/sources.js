@@ -0,0 +1,289 @@
+/**
+ * DocTruth - Source Types
+ * Native, shell-free ways to collect truth: files, JSON/YAML/TOML fields,
+ * globs, environment variables, git metadata and Markdown link checks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const toml = require('./toml');
+const { glob, DEFAULT_IGNORE } = require('./glob');
+const { execCommand } = require('./runner');
+const { resolvePath } = require('./assertions');
+const { checkLinks } = require('./links');
+
+const asList = value => (Array.isArray(value) ? value : [value]);
+
+function requireOption(item, key) {
+  if (item[key] === undefined || item[key] === null || item[key] === '') {
+    throw new Error(`Source type "${item.type}" needs a "${key}" option`);
+  }
+  return item[key];
+}
+
+function readText(file, cwd) {
+  const full = path.resolve(cwd, file);
+  if (!fs.existsSync(full)) {
+    throw new Error(`File not found: ${file}`);
+  }
+  return fs.readFileSync(full, 'utf8');
+}
+
+/**
+ * Parse a "start-end" line range ("1-20", "5", "10-") into 1-based bounds
+ */
+function parseLineRange(range) {
+  const match = String(range).trim().match(/^(\d+)?\s*(-)?\s*(\d+)?$/);
+  if (!match || (!match[1] && !match[3])) {
+    throw new Error(`Invalid line range: ${range}`);
+  }
+
+  const start = match[1] ? parseInt(match[1], 10) : 1;
+  const end = match[3] ? parseInt(match[3], 10) : (match[2] ? Infinity : start);
+  return { start, end };
+}
+
+/**
+ * Parse a data file by extension: .json, .yml/.yaml or .toml
+ */
+function parseDataFile(file, text) {
+  const ext = path.extname(file).toLowerCase();
+
+  try {
+    if (ext === '.yml' || ext === '.yaml') return yaml.load(text);
+    if (ext === '.toml') return toml.parse(text);
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Render a value as text: scalars as-is, arrays one item per line,
+ * objects as "key: value" lines
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+
+  const inline = item => (item !== null && typeof item === 'object' ? JSON.stringify(item) : String(item));
+
+  if (Array.isArray(value)) {
+    return value.map(inline).join('\n');
+  }
+  return Object.entries(value).map(([key, item]) => `${key}: ${inline(item)}`).join('\n');
+}
+
+async function git(args, context) {
+  const result = await execCommand('git', {
+    args,
+    cwd: context.cwd,
+    timeout: context.timeout
+  });
+
+  if (result.timedOut) {
+    throw new Error(`git ${args[0]} timed out`);
+  }
+  if (result.error || result.exitCode !== 0) {
+    const reason = result.error ? result.error.message : result.stderr.trim().split('\n')[0];
+    throw new Error(`git ${args[0]} failed${reason ? `: ${reason}` : ''}`);
+  }
+
+  return result.stdout.trim();
+}
+
+const GIT_INFO = {
+  branch: () => ['rev-parse', '--abbrev-ref', 'HEAD'],
+  commit: () => ['rev-parse', '--short', 'HEAD'],
+  commits: item => ['log', '--oneline', '--no-decorate', '-n', String(item.count || 10)],
+  tags: () => ['tag', '--sort=-creatordate'],
+  remote: item => ['remote', 'get-url', item.remote || 'origin'],
+  status: () => ['status', '--short']
+};
+
+/**
+ * Built-in source types. Each has describe(item), a one-line label used where
+ * a command would be shown, and run(item, context), which returns the output
+ * text (or a promise of it) and throws when the truth can't be collected.
+ * A check that ran but failed returns { output, error } instead, which a
+ * `default:` does not replace.
+ */
+const sourceTypes = {
+  file: {
+    describe: item => `file: ${item.path}${item.lines ? ` (lines ${item.lines})` : ''}`,
+    run: (item, context) => {
+      const text = readText(requireOption(item, 'path'), context.cwd).replace(/\r\n/g, '\n');
+      if (!item.lines) return text.trim();
+
+      const { start, end } = parseLineRange(item.lines);
+      return text.split('\n').slice(start - 1, end).join('\n').trim();
+    }
+  },
+
+  json: {
+    describe: item => `json: ${item.path}${item.field ? `#${item.field}` : ''}`,
+    run: (item, context) => {
+      const file = requireOption(item, 'path');
+      const data = parseDataFile(file, readText(file, context.cwd));
+      if (!item.field) return formatValue(data);
+
+      const { found, value } = resolvePath(data, item.field);
+      if (!found) {
+        throw new Error(`Field "${item.field}" not found in ${file}`);
+      }
+      return formatValue(value);
+    }
+  },
+
+  glob: {
+    describe: item => `glob: ${asList(item.pattern).join(', ')}${item.count ? ' (count)' : ''}`,
+    run: (item, context) => {
+      const files = glob(requireOption(item, 'pattern'), {
+        cwd: context.cwd,
+        ignore: [...DEFAULT_IGNORE, ...asList(item.ignore || [])],
+        directories: item.directories,
+        dot: item.dot
+      });
+
+      if (item.count) return String(files.length);
+      return (item.limit ? files.slice(0, item.limit) : files).join('\n');
+    }
+  },
+
+  env: {
+    describe: item => `env: ${asList(item.variable).join(', ')}`,
+    run: item => {
+      const names = asList(requireOption(item, 'variable'));
+
+      if (names.length === 1) {
+        const value = process.env[names[0]];
+        if (value === undefined) {
+          throw new Error(`Environment variable ${names[0]} is not set`);
+        }
+        return value;
+      }
+
+      return names
+        .map(name => `${name}=${process.env[name] === undefined ? '(not set)' : process.env[name]}`)
+        .join('\n');
+    }
+  },
+
+  links: {
+    describe: item => `links: ${asList(item.pattern || '**/*.md').join(', ')}`,
+    run: (item, context) => {
+      const { files, links, broken } = checkLinks(item.pattern || '**/*.md', {
+        cwd: context.cwd,
+        ignore: asList(item.ignore || []),
+        read: context.read
+      });
+
+      if (broken.length > 0) {
+        const details = broken.map(link => `${link.file}:${link.line}: ${link.target} (${link.reason})`);
+        return { output: '', error: `${broken.length} broken link(s): ${details.join('; ')}` };
+      }
+      return `${links} local link(s) in ${files} file(s) resolve`;
+    }
+  },
+
+  git: {
+    describe: item => `git: ${item.info || 'branch'}`,
+    run: async (item, context) => {
+      const info = item.info || 'branch';
+      if (!GIT_INFO[info]) {
+        throw new Error(`Unknown git info "${info}" (expected one of: ${Object.keys(GIT_INFO).join(', ')})`);
+      }
+
+      const output = await git(GIT_INFO[info](item), context);
+      if (info === 'tags' && output) {
+        return output.split('\n').slice(0, item.count || 10).join('\n');
+      }
+      return output;
+    }
+  }
+};
+
+// Types that ship with DocTruth, as opposed to ones plugins register
+const BUILTIN_TYPES = ['command', ...Object.keys(sourceTypes)];
+
+/**
+ * Register an additional source type (used by plugins). Accepts a run
+ * function or an object with run() and an optional describe().
+ */
+function registerSourceType(name, sourceType) {
+  const entry = typeof sourceType === 'function' ? { run: sourceType } : { ...sourceType };
+  if (name === 'command') {
+    throw new Error('Source type "command" is built in and cannot be replaced');
+  }
+  if (!entry || typeof entry.run !== 'function') {
+    throw new Error(`Source type "${name}" must be a function or have a run() function`);
+  }
+  if (typeof entry.describe !== 'function') {
+    entry.describe = item => `${name}: ${item.path || item.name}`;
+  }
+  sourceTypes[name] = entry;
+}
+
+function isNativeType(item) {
+  return Boolean(item.type) && item.type !== 'command';
+}
+
+function getSourceType(type) {
+  const sourceType = sourceTypes[type];
+  if (!sourceType) {
+    throw new Error(`Unknown source type "${type}" (expected command or one of: ${Object.keys(sourceTypes).join(', ')})`);
+  }
+  return sourceType;
+}
+
+/**
+ * One-line label for an item: its command, or the native type's description
+ */
+function describeSource(item) {
+  if (!isNativeType(item)) return item.command;
+  return getSourceType(item.type).describe(item);
+}
+
+/**
+ * Collect a native source and describe it like a command result:
+ * { output, stderr, exitCode, signal, timedOut, duration, error }.
+ * A `default` on the item replaces the output when collection fails.
+ */
+async function runSource(item, context = {}) {
+  const sourceType = getSourceType(item.type);
+  const start = Date.now();
+  const execution = { output: '', stderr: '', exitCode: 0, signal: null, timedOut: false, duration: 0, error: null };
+
+  try {
+    const collected = await sourceType.run(item, { cwd: process.cwd(), ...context });
+    if (collected && typeof collected === 'object' && collected.error) {
+      execution.output = String(collected.output || '');
+      execution.exitCode = null;
+      execution.error = collected.error;
+    } else {
+      execution.output = String(collected);
+    }
+  } catch (error) {
+    if (item.default !== undefined) {
+      execution.output = formatValue(item.default);
+    } else {
+      execution.exitCode = null;
+      execution.error = error.message;
+    }
+  }
+
+  execution.duration = Date.now() - start;
+  return execution;
+}
+
+module.exports = {
+  sourceTypes,
+  BUILTIN_TYPES,
+  registerSourceType,
+  isNativeType,
+  describeSource,
+  runSource,
+  formatValue,
+  parseLineRange
+};
@@ -0,0 +1,259 @@
+/**
+ * DocTruth - Templates
+ * A logic-light, Mustache-style template engine for custom truth documents:
+ * {{name}}, {{{raw}}}, {{#section}}...{{/section}}, {{^inverted}}...{{/inverted}}, {{! comment}}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatTrend, formatDelta } = require('./benchmarks');
+const { escapeHtml } = require('./html');
+
+const TAG = /\{\{(\{)?\s*([#^/!&]?)\s*([^}]*?)\s*\}?\}\}/g;
+
+/**
+ * Parse a template into a tree of text, variable and section nodes
+ */
+function parse(template) {
+  const root = { children: [] };
+  const stack = [root];
+  const tokens = [];
+  let match;
+  let last = 0;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(template)) !== null) {
+    tokens.push({ type: 'text', value: template.slice(last, match.index) });
+
+    const [tag, triple, sigil, name] = match;
+    tokens.push({
+      type: triple ? '&' : (sigil || 'name'),
+      name,
+      index: match.index
+    });
+    last = match.index + tag.length;
+  }
+  tokens.push({ type: 'text', value: template.slice(last) });
+
+  stripStandalone(tokens);
+
+  for (const token of tokens) {
+    const parent = stack[stack.length - 1];
+
+    if (token.type === 'text') {
+      if (token.value) parent.children.push(token);
+    } else if (token.type === '#' || token.type === '^') {
+      const node = { type: token.type, name: token.name, children: [], line: lineOf(template, token.index) };
+      parent.children.push(node);
+      stack.push(node);
+    } else if (token.type === '/') {
+      if (stack.length === 1 || parent.name !== token.name) {
+        throw new Error(`Template line ${lineOf(template, token.index)}: unexpected {{/${token.name}}}`);
+      }
+      stack.pop();
+    } else if (token.type !== '!') {
+      parent.children.push(token);
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`Template line ${open.line}: unclosed {{#${open.name}}}`);
+  }
+
+  return root.children;
+}
+
+function lineOf(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Section, inverted-section and comment tags alone on a line don't leave
+ * a blank line behind (as in Mustache)
+ */
+function stripStandalone(tokens) {
+  // Decide on the original text first, as stripping changes the neighbours
+  const standalone = [];
+  for (let i = 1; i < tokens.length - 1; i += 2) {
+    if (!['#', '^', '/', '!'].includes(tokens[i].type)) continue;
+
+    const before = tokens[i - 1].value;
+    const after = tokens[i + 1].value;
+    const lineStart = before.lastIndexOf('\n');
+    const startsLine = (lineStart !== -1 || i === 1) && /^[ \t]*$/.test(before.slice(lineStart + 1));
+    const endsLine = /^[ \t]*\r?\n/.test(after) || (i + 1 === tokens.length - 1 && /^[ \t]*$/.test(after));
+
+    if (startsLine && endsLine) standalone.push(i);
+  }
+
+  for (const i of standalone) {
+    const before = tokens[i - 1];
+    const after = tokens[i + 1];
+    before.value = before.value.slice(0, before.value.lastIndexOf('\n') + 1);
+    after.value = after.value.replace(/^[ \t]*(\r?\n|$)/, '');
+  }
+}
+
+/**
+ * Look a dotted name up through the context stack ("." is the current item)
+ */
+function lookup(stack, name) {
+  if (name === '.') return stack[stack.length - 1];
+
+  const [first, ...rest] = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const context = stack[i];
+    if (context !== null && typeof context === 'object' && first in context) {
+      return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[first]);
+    }
+  }
+  return undefined;
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function renderNodes(nodes, stack, escape) {
+  let out = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      out += node.value;
+    } else if (node.type === 'name' || node.type === '&') {
+      const text = toText(lookup(stack, node.name));
+      out += node.type === 'name' && escape ? escape(text) : text;
+    } else {
+      const value = lookup(stack, node.name);
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+
+      if (node.type === '^') {
+        if (empty) out += renderNodes(node.children, stack, escape);
+      } else if (Array.isArray(value)) {
+        for (const item of value) {
+          out += renderNodes(node.children, [...stack, item], escape);
+        }
+      } else if (!empty) {
+        out += renderNodes(node.children, typeof value === 'object' ? [...stack, value] : stack, escape);
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Render a template against a view. `escape` (e.g. an HTML escaper) applies
+ * to {{name}} tags; {{{name}}} and {{& name}} are always raw.
+ */
+function render(template, view, options = {}) {
+  return renderNodes(parse(template), [view], options.escape);
+}
+
+/**
+ * The results model templates render against. Failed commands get the same
+ * `display` text as in the built-in formats.
+ */
+function buildView(doctruth) {
+  const { results, errors } = doctruth;
+  const meta = results.meta || {};
+
+  const sources = (results.sources || []).map(source => ({
+    ...source,
+    category: source.category || 'General',
+    failed: doctruth.isError(source),
+    display: doctruth.displayOutput(source)
+  }));
+
+  const categories = [];
+  for (const source of sources) {
+    let category = categories.find(c => c.name === source.category);
+    if (!category) {
+      category = { name: source.category, sources: [] };
+      categories.push(category);
+    }
+    category.sources.push(source);
+  }
+
+  const validations = (results.validations || []).map(validation => ({
+    ...validation,
+    status: validation.skipped ? 'skip' : validation.passed ? 'pass' : 'fail',
+    result: doctruth.validationResult(validation)
+  }));
+
+  const benchmarks = (results.benchmarks || []).map(benchmark => ({
+    ...benchmark,
+    failed: (benchmark.failures || []).length > 0 || doctruth.isError(benchmark),
+    display: doctruth.displayValue(benchmark, benchmark.value),
+    trend: formatTrend(benchmark),
+    delta: formatDelta(benchmark)
+  }));
+
+  const platform = (results.platform || []).map(item => ({
+    ...item,
+    failed: doctruth.isError(item),
+    display: doctruth.displayValue(item, item.value)
+  }));
+
+  // The built-in Markdown sections, for templates that only rearrange them
+  const sections = {};
+  for (const section of doctruth.markdownSections()) {
+    sections[section.title] = [section.heading, ...section.body].join('\n').trim();
+  }
+
+  return {
+    meta,
+    ...meta,
+    sources,
+    sourcesByName: Object.fromEntries(sources.map(source => [source.name, source])),
+    categories,
+    validations,
+    validationSummary: {
+      passed: validations.filter(v => v.passed).length,
+      failed: validations.filter(v => !v.passed && !v.skipped).length,
+      skipped: validations.filter(v => v.skipped).length,
+      total: validations.length
+    },
+    examples: (results.examples || []).map(example => ({
+      ...example,
+      status: example.skipped ? 'skip' : example.verified ? (example.passed ? 'pass' : 'fail') : null
+    })),
+    benchmarks,
+    platform,
+    workspaces: results.workspaces || [],
+    errors,
+    hasErrors: errors.length > 0,
+    sections,
+    configPath: doctruth.configPath
+  };
+}
+
+/**
+ * Render the results through a template file; {{name}} tags are
+ * HTML-escaped when the template is an HTML file
+ */
+function renderTemplate(doctruth, file) {
+  let template;
+  try {
+    template = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read template ${file}: ${error.message}`);
+  }
+
+  const html = ['.html', '.htm'].includes(path.extname(file).toLowerCase());
+  try {
+    return render(template, buildView(doctruth), { escape: html ? escapeHtml : null });
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  parse,
+  render,
+  buildView,
+  renderTemplate
+};
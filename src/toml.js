@@ -0,0 +1,250 @@
+/**
+ * DocTruth - TOML
+ * A compact TOML reader covering what project manifests use
+ * (Cargo.toml, pyproject.toml): tables, arrays of tables, dotted keys,
+ * strings, numbers, booleans, dates, arrays and inline tables.
+ */
+
+class TomlParser {
+  constructor(text) {
+    this.text = text.replace(/\r\n/g, '\n');
+    this.pos = 0;
+    this.line = 1;
+  }
+
+  error(message) {
+    return new Error(`TOML line ${this.line}: ${message}`);
+  }
+
+  peek(offset = 0) {
+    return this.text[this.pos + offset];
+  }
+
+  next() {
+    const char = this.text[this.pos++];
+    if (char === '\n') this.line++;
+    return char;
+  }
+
+  startsWith(token) {
+    return this.text.startsWith(token, this.pos);
+  }
+
+  skipSpaces() {
+    while (this.peek() === ' ' || this.peek() === '\t') this.next();
+  }
+
+  // Whitespace, newlines and comments (inside arrays)
+  skipBlank() {
+    for (;;) {
+      this.skipSpaces();
+      if (this.peek() === '#') {
+        while (this.pos < this.text.length && this.peek() !== '\n') this.next();
+      } else if (this.peek() === '\n') {
+        this.next();
+      } else {
+        return;
+      }
+    }
+  }
+
+  endOfLine() {
+    this.skipSpaces();
+    if (this.peek() === '#') {
+      while (this.pos < this.text.length && this.peek() !== '\n') this.next();
+    }
+    if (this.pos < this.text.length && this.next() !== '\n') {
+      throw this.error('Expected end of line');
+    }
+  }
+
+  parse() {
+    const root = {};
+    let current = root;
+
+    while (this.pos < this.text.length) {
+      this.skipBlank();
+      if (this.pos >= this.text.length) break;
+
+      if (this.startsWith('[[')) {
+        this.pos += 2;
+        const keys = this.parseKey();
+        if (!this.startsWith(']]')) throw this.error('Expected ]]');
+        this.pos += 2;
+
+        const parent = this.resolve(root, keys.slice(0, -1));
+        const last = keys[keys.length - 1];
+        if (!Array.isArray(parent[last])) parent[last] = [];
+        current = {};
+        parent[last].push(current);
+      } else if (this.peek() === '[') {
+        this.next();
+        const keys = this.parseKey();
+        if (this.next() !== ']') throw this.error('Expected ]');
+        current = this.resolve(root, keys);
+      } else {
+        this.parseKeyValue(current);
+      }
+
+      this.endOfLine();
+    }
+
+    return root;
+  }
+
+  // Walk (and create) nested tables; arrays of tables resolve to their last entry
+  resolve(table, keys) {
+    let target = table;
+    for (const key of keys) {
+      if (target[key] === undefined) target[key] = {};
+      target = Array.isArray(target[key]) ? target[key][target[key].length - 1] : target[key];
+      if (typeof target !== 'object' || target === null) {
+        throw this.error(`Key "${key}" is not a table`);
+      }
+    }
+    return target;
+  }
+
+  parseKey() {
+    const keys = [];
+    for (;;) {
+      this.skipSpaces();
+      if (this.peek() === '"' || this.peek() === "'") {
+        keys.push(this.parseString());
+      } else {
+        const match = this.text.slice(this.pos).match(/^[A-Za-z0-9_-]+/);
+        if (!match) throw this.error('Invalid key');
+        this.pos += match[0].length;
+        keys.push(match[0]);
+      }
+      this.skipSpaces();
+      if (this.peek() !== '.') return keys;
+      this.next();
+    }
+  }
+
+  parseKeyValue(table) {
+    const keys = this.parseKey();
+    if (this.next() !== '=') throw this.error('Expected =');
+    this.skipSpaces();
+
+    const target = this.resolve(table, keys.slice(0, -1));
+    target[keys[keys.length - 1]] = this.parseValue();
+  }
+
+  parseValue() {
+    const char = this.peek();
+
+    if (char === '"' || char === "'") return this.parseString();
+    if (char === '[') return this.parseArray();
+    if (char === '{') return this.parseInlineTable();
+
+    const match = this.text.slice(this.pos).match(/^[^\s,\]}#]+/);
+    if (!match) throw this.error('Expected a value');
+    this.pos += match[0].length;
+    const raw = match[0];
+
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    if (/^[+-]?(\d[\d_]*)(\.\d[\d_]*)?([eE][+-]?\d+)?$/.test(raw)) return Number(raw.replace(/_/g, ''));
+    if (/^0x[0-9a-fA-F_]+$/.test(raw)) return parseInt(raw.slice(2).replace(/_/g, ''), 16);
+    if (/^[+-]?(inf|nan)$/.test(raw)) return raw.includes('nan') ? NaN : (raw.startsWith('-') ? -Infinity : Infinity);
+
+    // Dates and times stay strings ("1979-05-27 07:32:00" spans a space)
+    const time = this.text.slice(this.pos).match(/^ \d{2}:\d{2}(:\d{2})?(\.\d+)?(Z|[+-]\d{2}:\d{2})?/);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(raw) && time) {
+      this.pos += time[0].length;
+      return raw + time[0];
+    }
+    if (/^\d{4}-\d{2}-\d{2}|^\d{2}:\d{2}/.test(raw)) return raw;
+
+    throw this.error(`Invalid value: ${raw}`);
+  }
+
+  parseString() {
+    const quote = this.peek();
+    const multiline = this.startsWith(quote.repeat(3));
+    const delimiter = multiline ? quote.repeat(3) : quote;
+    this.pos += delimiter.length;
+
+    // A newline right after the opening delimiter is trimmed
+    if (multiline && this.peek() === '\n') this.next();
+
+    let value = '';
+    for (;;) {
+      if (this.pos >= this.text.length) throw this.error('Unterminated string');
+      if (this.startsWith(delimiter)) {
+        this.pos += delimiter.length;
+        return value;
+      }
+
+      const char = this.next();
+      if (char === '\n' && !multiline) throw this.error('Unterminated string');
+
+      if (char === '\\' && quote === '"') {
+        const escape = this.next();
+        const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+        if (escape in simple) {
+          value += simple[escape];
+        } else if (escape === 'u' || escape === 'U') {
+          const length = escape === 'u' ? 4 : 8;
+          value += String.fromCodePoint(parseInt(this.text.substr(this.pos, length), 16));
+          this.pos += length;
+        } else if (multiline && /\s/.test(escape)) {
+          // Line-ending backslash swallows following whitespace
+          while (/\s/.test(this.peek() || '')) this.next();
+        } else {
+          throw this.error(`Invalid escape \\${escape}`);
+        }
+      } else {
+        value += char;
+      }
+    }
+  }
+
+  parseArray() {
+    this.next();
+    const values = [];
+
+    for (;;) {
+      this.skipBlank();
+      if (this.peek() === ']') {
+        this.next();
+        return values;
+      }
+      values.push(this.parseValue());
+      this.skipBlank();
+      if (this.peek() === ',') {
+        this.next();
+      } else if (this.peek() !== ']') {
+        throw this.error('Expected , or ] in array');
+      }
+    }
+  }
+
+  parseInlineTable() {
+    this.next();
+    const table = {};
+
+    this.skipSpaces();
+    if (this.peek() === '}') {
+      this.next();
+      return table;
+    }
+
+    for (;;) {
+      this.parseKeyValue(table);
+      this.skipSpaces();
+      const char = this.next();
+      if (char === '}') return table;
+      if (char !== ',') throw this.error('Expected , or } in inline table');
+      this.skipSpaces();
+    }
+  }
+}
+
+function parse(text) {
+  return new TomlParser(text).parse();
+}
+
+module.exports = { parse };
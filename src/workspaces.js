@@ -0,0 +1,99 @@
+/**
+ * DocTruth - Workspaces
+ * Finds the packages of a monorepo: npm/yarn/pnpm workspaces, Cargo
+ * workspaces, go.work or an explicit list of globs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const toml = require('./toml');
+const { glob, toPosix } = require('./glob');
+
+function readFile(cwd, file) {
+  const full = path.join(cwd, file);
+  return fs.existsSync(full) ? fs.readFileSync(full, 'utf8') : null;
+}
+
+/**
+ * Package globs declared by each package manager, keyed by manager
+ */
+const detectors = {
+  npm: cwd => {
+    const text = readFile(cwd, 'package.json');
+    if (!text) return null;
+
+    // Yarn also accepts { packages: [...] }
+    const { workspaces } = JSON.parse(text);
+    return Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages) || null;
+  },
+
+  pnpm: cwd => {
+    const text = readFile(cwd, 'pnpm-workspace.yaml');
+    return text ? (yaml.load(text) || {}).packages || null : null;
+  },
+
+  cargo: cwd => {
+    const text = readFile(cwd, 'Cargo.toml');
+    const workspace = text ? toml.parse(text).workspace : null;
+    if (!workspace || !workspace.members) return null;
+    return [...workspace.members, ...(workspace.exclude || []).map(member => `!${member}`)];
+  },
+
+  go: cwd => {
+    const text = readFile(cwd, 'go.work');
+    if (!text) return null;
+
+    // "use ./api" or a "use ( ... )" block
+    const dirs = [];
+    const stripped = text.replace(/\/\/.*$/gm, '');
+    for (const match of stripped.matchAll(/^\s*use\s+(?:\(([^)]*)\)|(\S+))/gm)) {
+      dirs.push(...(match[1] || match[2]).split(/\s+/).filter(Boolean));
+    }
+    return dirs.length > 0 ? dirs : null;
+  }
+};
+
+/**
+ * Workspace globs from every package manager found in cwd
+ */
+function detectWorkspaces(cwd = process.cwd()) {
+  const found = [];
+
+  for (const [manager, detect] of Object.entries(detectors)) {
+    let patterns;
+    try {
+      patterns = detect(cwd);
+    } catch (error) {
+      throw new Error(`Cannot read ${manager} workspaces: ${error.message}`);
+    }
+    if (patterns && patterns.length > 0) {
+      found.push({ manager, patterns });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Package directories for `workspaces:` — true detects them, a list of
+ * globs names them ("!" excludes). Returns sorted posix paths relative to cwd.
+ */
+function findWorkspaces(setting, cwd = process.cwd()) {
+  if (!setting) return [];
+
+  const patterns = setting === true
+    ? detectWorkspaces(cwd).flatMap(entry => entry.patterns)
+    : [].concat(setting);
+
+  const dirs = glob(patterns.map(pattern => pattern.replace(/\/+$/, '')), { cwd, directories: true });
+  return dirs
+    .map(dir => toPosix(path.normalize(dir)))
+    .filter(dir => dir !== '.');
+}
+
+module.exports = {
+  detectors,
+  detectWorkspaces,
+  findWorkspaces
+};
@@ -0,0 +1,102 @@
+/**
+ * Tests for the programmatic API: run(), events and exported renderers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocTruth = require('../src/index');
+const { renderMarkdown, renderJSON, parseTruth } = require('../src/index');
+
+describe('programmatic API', () => {
+  let dir;
+  let configPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-api-'));
+    configPath = path.join(dir, '.doctruth.yml');
+    fs.writeFileSync(configPath, [
+      'project: Embedded',
+      'output: ' + JSON.stringify(path.join(dir, 'TRUTH.md')),
+      'truth_sources:',
+      '  - name: Greeting',
+      '    command: node -e "console.log(\'hi\')"',
+      '  - name: Broken',
+      '    command: node -e "process.exit(3)"',
+      '    essential: true',
+      'validations:',
+      '  - name: Says hi',
+      '    command: node -e "console.log(\'hi\')"',
+      '    equals: hi',
+      '  - name: Says bye',
+      '    command: node -e "console.log(\'hi\')"',
+      '    equals: bye'
+    ].join('\n'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('run() should return results and errors without writing files', async () => {
+    const doctruth = new DocTruth({ silent: true, config: configPath });
+    const { results, errors } = await doctruth.run();
+
+    expect(results.meta.project).toBe('Embedded');
+    expect(results.sources.map(s => s.output)).toEqual(['hi', '']);
+    expect(errors).toEqual([{ type: 'essential', source: 'Broken', message: '[EXIT CODE: 3]' }]);
+    expect(fs.readdirSync(dir)).toEqual(['.doctruth.yml']);
+  });
+
+  test('should emit lifecycle events', async () => {
+    const doctruth = new DocTruth({ silent: true, config: configPath });
+    const events = [];
+
+    doctruth.on('start', () => events.push('start'));
+    doctruth.on('source:start', ({ name }) => events.push(`source:start ${name}`));
+    doctruth.on('source:end', ({ name, result }) => events.push(`source:end ${name} ${result.exitCode}`));
+    doctruth.on('validation:pass', validation => events.push(`validation:pass ${validation.name}`));
+    doctruth.on('validation:fail', validation => events.push(`validation:fail ${validation.name}`));
+    doctruth.on('warning', error => events.push(`warning ${error.source}`));
+    doctruth.on('done', ({ errors }) => events.push(`done ${errors.length}`));
+
+    const logs = [];
+    doctruth.on('log', entry => logs.push(entry));
+
+    await doctruth.run();
+
+    // Sources run concurrently, so compare their events as a set
+    expect(events[0]).toBe('start');
+    expect(events.slice(1, 5).sort()).toEqual([
+      'source:end Broken 3',
+      'source:end Greeting 0',
+      'source:start Broken',
+      'source:start Greeting'
+    ]);
+    expect(events.slice(5)).toEqual([
+      'warning Broken',
+      'validation:pass Says hi',
+      'validation:fail Says bye',
+      'done 1'
+    ]);
+    expect(logs).toContainEqual({ level: 'info', message: 'Collecting truth sources...' });
+  });
+
+  test('render and save should be separate steps', async () => {
+    const doctruth = new DocTruth({ silent: true, config: configPath });
+    const { results, errors } = await doctruth.run();
+
+    const saved = [];
+    doctruth.on('save', event => saved.push(event));
+
+    const output = path.join(dir, 'out', 'truth.json');
+    expect(await doctruth.save({ output, format: 'json' })).toBe(output);
+    expect(JSON.parse(fs.readFileSync(output, 'utf8')).meta.project).toBe('Embedded');
+    expect(saved).toEqual([{ path: output, format: 'json' }]);
+
+    const markdown = renderMarkdown(results, errors);
+    expect(markdown).toContain('# Embedded - Current Truth');
+    expect(markdown).toContain('**essential**: Broken');
+    expect(parseTruth(renderJSON(results), 'json').sources).toHaveLength(2);
+  });
+});
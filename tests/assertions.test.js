@@ -0,0 +1,110 @@
+/**
+ * Tests for validation assertions
+ */
+
+const DocTruth = require('../src/index');
+const { evaluateAssertions, describeFailure, resolvePath, registerAssertion, assertions } = require('../src/assertions');
+
+const context = (output, exitCode = 0) => ({ output, stdout: output, stderr: '', exitCode });
+
+describe('assertions', () => {
+  test('should check exit codes and text', () => {
+    const results = evaluateAssertions({
+      expect_exit_code: 0,
+      equals: 'all good',
+      contains: ['all', 'good'],
+      not_contains: 'FAIL',
+      matches: '^all'
+    }, context('all good'));
+
+    expect(results.map(r => r.kind)).toEqual(['expect_exit_code', 'equals', 'contains', 'not_contains', 'matches']);
+    expect(results.every(r => r.passed)).toBe(true);
+  });
+
+  test('should report expected and actual values for failures', () => {
+    const [result] = evaluateAssertions({ expect_exit_code: [0, 2] }, context('', 1));
+
+    expect(result).toEqual({ kind: 'expect_exit_code', expected: [0, 2], actual: 1, passed: false });
+    expect(describeFailure(result)).toBe('expect_exit_code: expected [0,2], got 1');
+  });
+
+  test('should compare numbers and semver ranges from output', () => {
+    const results = evaluateAssertions({ gte: 80, lt: 100, semver: '>=1' }, context('Coverage: 84.2% (v1)'));
+    expect(results.every(r => r.passed)).toBe(true);
+
+    const [coverage] = evaluateAssertions({ gte: 90 }, context('Coverage: 84.2%'));
+    expect(coverage).toMatchObject({ passed: false, actual: 84.2 });
+  });
+
+  test('should check JSON paths', () => {
+    const output = JSON.stringify({ name: 'app', engines: { node: '18.17.0' }, files: ['a', 'b'] });
+    const [passing] = evaluateAssertions({
+      json: [
+        { path: '$.name', equals: 'app' },
+        { path: 'engines.node', semver: '>=18' },
+        { path: 'files[1]', equals: 'b' }
+      ]
+    }, context(output));
+    expect(passing.passed).toBe(true);
+
+    const [failing] = evaluateAssertions({ json: { path: 'license' } }, context(output));
+    expect(failing.passed).toBe(false);
+    expect(failing.actual).toContain('license: exists');
+
+    expect(resolvePath({ a: { 'b-c': [1, 2] } }, '$.a["b-c"][1]')).toEqual({ found: true, value: 2 });
+  });
+
+  test('should allow registering new assertion kinds', () => {
+    registerAssertion('even', (expected, ctx) => ({ passed: Number(ctx.output) % 2 === 0, actual: ctx.output }));
+    try {
+      expect(evaluateAssertions({ even: true }, context('4'))[0].passed).toBe(true);
+    } finally {
+      delete assertions.even;
+    }
+  });
+
+  test('should use assertions when running validations', async () => {
+    const doctruth = new DocTruth({ silent: true });
+    doctruth.config = {
+      validations: [
+        { name: 'Exit code', command: 'exit 3', expect_exit_code: 3 },
+        { name: 'Usage', command: 'echo usage: app; exit 2', expect_exit_code: 2 },
+        { name: 'Wrong output', command: 'node -e "console.log(\'FAIL is fine\')"', contains: 'missing', required: true }
+      ]
+    };
+
+    doctruth.results = { meta: { project: 'Test' } };
+    await doctruth.processValidations();
+    const [exitCode, usage, wrong] = doctruth.results.validations;
+
+    expect(exitCode.passed).toBe(true);
+    expect(usage.passed).toBe(true);
+    expect(wrong.passed).toBe(false);
+    expect(doctruth.errors[0].message).toContain('contains: expected "missing", got "FAIL is fine"');
+
+    // An expected exit code is not shown as an error
+    const markdown = doctruth.toMarkdown();
+    expect(markdown).toContain('| ✅ | Exit code | exit 3 (expected) | No |');
+    expect(markdown).toContain('| ✅ | Usage | usage: app | No |');
+    expect(markdown).toContain('| ❌ | Wrong output | contains: expected "missing", got "FAIL is fine" | Yes |');
+    expect(doctruth.toHTML()).not.toContain('EXIT CODE');
+  });
+
+  test('should fail validations whose command fails even if assertions pass', async () => {
+    const doctruth = new DocTruth({ silent: true });
+    doctruth.config = {
+      validations: [
+        { name: 'Tests pass', command: "echo '3 passing, 1 failing'; exit 1", contains: 'passing', required: true }
+      ]
+    };
+
+    doctruth.results = { meta: { project: 'Test' } };
+    await doctruth.processValidations();
+
+    expect(doctruth.results.validations[0].passed).toBe(false);
+    expect(doctruth.errors).toEqual([
+      { type: 'validation', source: 'Tests pass', message: 'Required validation failed ([EXIT CODE: 1])' }
+    ]);
+    expect(doctruth.toMarkdown()).toContain('| ❌ | Tests pass | 3 passing, 1 failing [EXIT CODE: 1] | Yes |');
+  });
+});
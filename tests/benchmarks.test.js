@@ -0,0 +1,63 @@
+/**
+ * Tests for benchmark parsing, thresholds and regression detection
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseMeasurement,
+  toUnit,
+  evaluateBenchmark,
+  saveHistory,
+  loadHistory,
+  formatDelta
+} = require('../src/benchmarks');
+
+describe('benchmarks', () => {
+  test('should parse numbers with units', () => {
+    expect(parseMeasurement('1.5s')).toEqual({ number: 1.5, unit: 's' });
+    expect(parseMeasurement('4.2M\tnode_modules')).toEqual({ number: 4.2, unit: 'M' });
+    expect(parseMeasurement('1,234', 'files')).toEqual({ number: 1234, unit: 'files' });
+    expect(parseMeasurement('real\t0m2.500s', 'seconds')).toEqual({ number: 2.5, unit: 'seconds' });
+    expect(parseMeasurement('N/A')).toBeNull();
+  });
+
+  test('should convert thresholds into the measured unit', () => {
+    expect(toUnit('2s', 'ms')).toBe(2000);
+    expect(toUnit('1GB', 'M')).toBe(1024);
+    expect(toUnit(500, 'ms')).toBe(500);
+  });
+
+  test('should enforce min and max thresholds', () => {
+    const analysis = evaluateBenchmark({ number: 3, unit: 's' }, { max: '2s', min: 1 });
+    expect(analysis.failures).toEqual(['3 s exceeds max 2s']);
+
+    expect(evaluateBenchmark(null, { max: 1 }).failures).toEqual(['Output is not a number']);
+  });
+
+  test('should detect regressions against the last runs', () => {
+    const runs = [10, 10, 100, 10, 10, 10].map(value => ({ value, unit: 's' }));
+
+    const slower = evaluateBenchmark({ number: 12, unit: 's' }, { regression_tolerance: 10 }, runs);
+    expect(slower.baseline).toBe(28);
+    expect(slower.failures).toEqual([]);
+
+    const recent = evaluateBenchmark({ number: 12, unit: 's' }, { regression_tolerance: 10, regression_window: 3 }, runs);
+    expect(recent.trend).toBe('up');
+    expect(formatDelta(recent)).toBe('+20.0%');
+    expect(recent.failures[0]).toContain('Regressed 20.0% against the last 3 run(s)');
+
+    const throughput = evaluateBenchmark({ number: 8, unit: 's' }, { regression_tolerance: 10, higher_is_better: true }, runs.slice(-2));
+    expect(throughput.failures).toHaveLength(1);
+  });
+
+  test('should append runs to the history file', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-')), 'benchmarks.json');
+
+    saveHistory(loadHistory(file), [{ name: 'Build', number: 1.2, unit: 's' }], { file, timestamp: 't1' });
+    saveHistory(loadHistory(file), [{ name: 'Build', number: 1.4, unit: 's' }], { file, timestamp: 't2', limit: 1 });
+
+    expect(loadHistory(file)).toEqual({ Build: [{ timestamp: 't2', value: 1.4, unit: 's' }] });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for the input-hash result cache
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cacheKey, readCache, writeCache, clearCache } = require('../src/cache');
+const DocTruth = require('../src/index');
+
+describe('cache', () => {
+  let dir;
+  const cwd = process.cwd();
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-cache-'));
+    fs.writeFileSync(path.join(dir, 'package-lock.json'), '{"lockfileVersion": 3}');
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keys should change with the command, inputs and environment', () => {
+    const item = { name: 'Deps', command: 'npm ls', inputs: ['package-lock.json'] };
+    const key = cacheKey(item, { cwd: dir });
+
+    expect(cacheKey(item, { cwd: dir })).toBe(key);
+    expect(cacheKey({ ...item, command: 'npm ls --all' }, { cwd: dir })).not.toBe(key);
+
+    process.env.DOCTRUTH_CACHE_TEST = 'a';
+    const withEnv = cacheKey(item, { cwd: dir, env: ['DOCTRUTH_CACHE_TEST'] });
+    process.env.DOCTRUTH_CACHE_TEST = 'b';
+    expect(cacheKey(item, { cwd: dir, env: ['DOCTRUTH_CACHE_TEST'] })).not.toBe(withEnv);
+    delete process.env.DOCTRUTH_CACHE_TEST;
+
+    fs.writeFileSync(path.join(dir, 'package-lock.json'), '{"lockfileVersion": 2}');
+    expect(cacheKey(item, { cwd: dir })).not.toBe(key);
+  });
+
+  test('should store one entry per item and clear them', () => {
+    const cacheDir = path.join(dir, 'cache');
+    const item = { name: 'Deps', command: 'npm ls' };
+
+    writeCache(item, 'one', { output: 'a' }, cacheDir);
+    writeCache(item, 'two', { output: 'b' }, cacheDir);
+
+    expect(readCache(item, 'one', cacheDir)).toBeNull();
+    expect(readCache(item, 'two', cacheDir)).toEqual({ output: 'b' });
+    expect(clearCache(cacheDir)).toBe(1);
+    expect(clearCache(cacheDir)).toBe(0);
+  });
+
+  test('should reuse cached results and mark them in the report', async () => {
+    process.chdir(dir);
+    const config = {
+      output: 'TRUTH.md',
+      meta: { history_limit: 0 },
+      cache: { enabled: true },
+      truth_sources: [
+        { name: 'Lock', command: 'node -e "console.log(Math.random())"', inputs: ['package-lock.json'] },
+        { name: 'Opted out', command: 'node -e "console.log(Math.random())"', inputs: ['package-lock.json'], cache: false },
+        { name: 'No inputs', command: 'node -e "console.log(Math.random())"' }
+      ]
+    };
+
+    const first = new DocTruth({ silent: true });
+    first.config = config;
+    await first.generate();
+
+    const second = new DocTruth({ silent: true });
+    second.config = config;
+    const { results } = await second.run();
+
+    expect(results.sources[0]).toMatchObject({ output: first.results.sources[0].output, cached: true });
+    expect(results.sources[1].cached).toBeUndefined();
+    expect(results.sources[2].cached).toBeUndefined();
+    expect(second.toMarkdown()).toContain('#### Lock [CACHED]');
+
+    const uncached = new DocTruth({ silent: true, cache: false });
+    uncached.config = config;
+    expect((await uncached.run()).results.sources[0].cached).toBeUndefined();
+
+    // run() leaves the cache as it was
+    fs.writeFileSync('package-lock.json', '{}');
+    await second.run();
+    expect(second.results.sources[0].cached).toBeUndefined();
+    expect(clearCache()).toBe(1);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for claims in the docs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { claimProblems, findClaim, compareClaim } = require('../src/claims');
+const { validateConfig } = require('../src/schema');
+const DocTruth = require('../src/index');
+
+describe('claims', () => {
+  const readme = [
+    '# Demo',
+    'Requires Node >= 18 and npm 9.',
+    'Supports <!-- doctruth:claim Commands -->12<!-- /doctruth:claim --> commands.'
+  ].join('\n');
+
+  test('should find claims by pattern or marker', () => {
+    expect(findClaim(readme, { pattern: 'Requires Node (>= \\d+)' })).toEqual({ value: '>= 18', line: 2 });
+    expect(findClaim(readme, { pattern: 'npm (?<value>\\d+)\\.' })).toEqual({ value: '9', line: 2 });
+    expect(findClaim(readme, { pattern: '^Supports' })).toEqual({ value: 'Supports', line: 3 });
+    expect(findClaim(readme, { marker: 'Commands' })).toEqual({ value: '12', line: 3 });
+    expect(findClaim(readme, { marker: 'Missing' })).toBeNull();
+  });
+
+  test('should compare claims with source output', () => {
+    expect(compareClaim('>= 18', 'v20.11.0', 'semver').passed).toBe(true);
+    expect(compareClaim('>= 22', 'v20.11.0', 'semver')).toEqual({ kind: 'semver', expected: '>= 22', actual: '20.11.0', passed: false });
+    expect(compareClaim('12', '12 commands', 'number').passed).toBe(true);
+    expect(compareClaim('12', '14', 'number')).toEqual({ kind: 'number', expected: '12', actual: 14, passed: false });
+    expect(compareClaim('100+', '154', 'gte').passed).toBe(true);
+    expect(compareClaim('MIT', 'MIT\n')).toEqual({ kind: 'equals', expected: 'MIT', actual: 'MIT', passed: true });
+  });
+
+  test('should report invalid patterns and unknown sources', () => {
+    const config = {
+      truth_sources: [{ name: 'Node Version', command: 'node --version' }],
+      claims: [
+        { name: 'Node', file: 'README.md', pattern: 'Node (\\d+', source: 'Node Version' },
+        { name: 'npm', file: 'README.md', pattern: 'npm (\\d+)', source: 'Node Versoin' }
+      ]
+    };
+
+    expect(claimProblems(config).map(problem => `${problem.where}: ${problem.message}`)).toEqual([
+      expect.stringMatching(/^claims\[0\]\.pattern: Invalid pattern: /),
+      'claims[1].source: Unknown source "Node Versoin" (did you mean "Node Version"?)'
+    ]);
+    expect(validateConfig({ claims: [{ name: 'Node', file: 'README.md', source: 'Node Version', compare: 'same' }] })
+      .map(problem => problem.message)).toHaveLength(2);
+  });
+
+  describe('DocTruth', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-claims-'));
+      fs.writeFileSync(path.join(dir, 'README.md'), readme);
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should warn about claims that drifted and fail --check', async () => {
+      const configPath = path.join(dir, '.doctruth.yml');
+      const readmePath = path.join(dir, 'README.md');
+      fs.writeFileSync(configPath, [
+        `output: ${path.join(dir, 'TRUTH.md')}`,
+        'meta:',
+        '  history_limit: 0',
+        'truth_sources:',
+        '  - name: Node Version',
+        '    command: echo v20.11.0',
+        '  - name: Commands',
+        '    command: echo 14',
+        '  - name: Windows Only',
+        '    command:',
+        '      win32: ver',
+        'claims:',
+        '  - name: Node requirement',
+        `    file: ${readmePath}`,
+        "    pattern: 'Requires Node (>= \\d+)'",
+        '    source: Node Version',
+        '    compare: semver',
+        '  - name: Command count',
+        `    file: ${readmePath}`,
+        '    marker: Commands',
+        '    source: Commands',
+        '    compare: number',
+        '  - name: Yarn',
+        `    file: ${readmePath}`,
+        "    pattern: 'yarn (\\d+)'",
+        '    source: Node Version',
+        '  - name: Windows',
+        `    file: ${readmePath}`,
+        '    pattern: Windows',
+        '    source: Windows Only'
+      ].join('\n'));
+
+      const doctruth = new DocTruth({ silent: true, config: configPath });
+      await doctruth.loadConfig();
+      await doctruth.generate();
+
+      expect(doctruth.results.claims.map(claim => [claim.name, claim.passed, claim.skipped || claim.failure])).toEqual([
+        ['Node requirement', true, null],
+        ['Command count', false, `${readmePath}:3: number: expected "12", got 14`],
+        ['Yarn', false, `claim not found in ${readmePath}`],
+        ['Windows', null, 'source "Windows Only" was skipped']
+      ]);
+
+      const markdown = fs.readFileSync(path.join(dir, 'TRUTH.md'), 'utf8');
+      expect(markdown).toContain(`- **claim**: Command count - Docs don't match source "Commands" (${readmePath}:3: number: expected "12", got 14)`);
+
+      expect(await doctruth.check()).toBe(true);
+      expect(doctruth.changes).toEqual([
+        { type: 'failing', section: 'claims', name: 'Command count', after: `${readmePath}:3: number: expected "12", got 14` },
+        { type: 'failing', section: 'claims', name: 'Yarn', after: `claim not found in ${readmePath}` }
+      ]);
+    });
+  });
+});
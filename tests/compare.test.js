@@ -0,0 +1,115 @@
+/**
+ * Tests for structural truth comparison
+ */
+
+const DocTruth = require('../src/index');
+const { parseMarkdown, compareResults, splitTableRow } = require('../src/compare');
+
+function sampleResults(overrides = {}) {
+  return {
+    meta: {
+      project: 'Test',
+      generated: new Date().toISOString(),
+      generationTime: '0.5s'
+    },
+    sources: [
+      { name: 'Node Version', command: 'node --version', output: 'v20.0.0', essential: true, category: 'Env' },
+      { name: 'Files', command: 'ls', output: 'a\nb', essential: false, category: 'Structure' }
+    ],
+    validations: [
+      { name: 'Has README', passed: true, output: '✓ a | b', required: false }
+    ],
+    benchmarks: [
+      { name: 'Files', value: '12', unit: 'files' }
+    ],
+    platform: [
+      { name: 'OS', value: 'Linux' }
+    ],
+    ...overrides
+  };
+}
+
+function renderMarkdown(results) {
+  const doctruth = new DocTruth();
+  doctruth.results = results;
+  return doctruth.toMarkdown();
+}
+
+describe('compare', () => {
+  test('should round-trip rendered Markdown', () => {
+    const parsed = parseMarkdown(renderMarkdown(sampleResults()));
+
+    expect(parsed.meta.project).toBe('Test');
+    expect(parsed.sources[0]).toMatchObject({
+      name: 'Node Version',
+      command: 'node --version',
+      output: 'v20.0.0',
+      essential: true,
+      category: 'Env'
+    });
+    expect(parsed.sources[1].output).toBe('a\nb');
+    expect(parsed.validations[0]).toMatchObject({ name: 'Has README', passed: true, output: '✓ a | b' });
+    expect(parsed.benchmarks[0]).toEqual({ name: 'Files', value: '12 files' });
+    expect(parsed.platform[0]).toEqual({ name: 'OS', value: 'Linux' });
+  });
+
+  test('should round-trip native source types', () => {
+    const parsed = parseMarkdown(renderMarkdown(sampleResults({
+      sources: [{ name: 'Version', command: 'json: package.json#version', type: 'json', output: '1.0.0', category: 'Project' }]
+    })));
+
+    expect(parsed.sources[0]).toMatchObject({ command: 'json: package.json#version', type: 'json', output: '1.0.0' });
+  });
+
+  test('should ignore timestamps and generation time', () => {
+    const before = parseMarkdown(renderMarkdown(sampleResults()));
+    const after = parseMarkdown(renderMarkdown(sampleResults({
+      meta: { project: 'Test', generated: '2000-01-01T00:00:00.000Z', generationTime: '9s' }
+    })));
+
+    expect(compareResults(before, after)).toEqual([]);
+  });
+
+  test('should report changed, added and removed items by name', () => {
+    const before = sampleResults();
+    const after = sampleResults({
+      sources: [
+        { name: 'Node Version', command: 'node --version', output: 'v22.0.0', essential: true, category: 'Env' },
+        { name: 'Git Branch', command: 'git branch', output: 'main', essential: false, category: 'VCS' }
+      ]
+    });
+
+    const changes = compareResults(before, after);
+
+    expect(changes).toContainEqual(expect.objectContaining({
+      type: 'changed', section: 'sources', name: 'Node Version', field: 'output'
+    }));
+    expect(changes).toContainEqual(expect.objectContaining({ type: 'removed', name: 'Files' }));
+    expect(changes).toContainEqual(expect.objectContaining({ type: 'added', name: 'Git Branch' }));
+  });
+
+  test('should honour ignore patterns, volatile fields and volatile items', () => {
+    const before = sampleResults();
+    const after = sampleResults({
+      sources: [
+        { name: 'Node Version', command: 'node --version', output: 'v20.0.0 (built 12ms)', essential: true, category: 'Env' },
+        { name: 'Files', command: 'ls', output: 'a\nb', essential: false, category: 'Structure' }
+      ],
+      benchmarks: [{ name: 'Files', value: '13', unit: 'files' }],
+      platform: [{ name: 'OS', value: 'Darwin' }]
+    });
+    before.sources[0].output = 'v20.0.0 (built 40ms)';
+
+    const changes = compareResults(before, after, {
+      ignorePatterns: ['\\d+ms'],
+      volatileFields: ['benchmarks.value'],
+      volatileItems: { platform: ['OS'] }
+    });
+
+    expect(changes).toEqual([]);
+  });
+
+  test('should split table rows with escaped pipes', () => {
+    expect(splitTableRow('| ✅ | name | a \\| b | Yes |')).toEqual(['✅', 'name', 'a | b', 'Yes']);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for `when:` conditions and per-platform commands
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkWhen, platformCommand } = require('../src/conditions');
+const { planSources } = require('../src/interpolate');
+const { validateConfig } = require('../src/schema');
+const { renderTAP } = require('../src/reports');
+const DocTruth = require('../src/index');
+
+describe('conditions', () => {
+  const context = (overrides = {}) => ({
+    platform: 'linux',
+    env: {},
+    sources: new Map(),
+    isError: result => result.exitCode !== 0,
+    ...overrides
+  });
+
+  test('should match platforms and exclusions', () => {
+    expect(checkWhen({ platform: 'linux' }, context())).toBeNull();
+    expect(checkWhen({ platform: ['darwin', 'linux'] }, context())).toBeNull();
+    expect(checkWhen({ platform: 'win32' }, context())).toBe('not on linux');
+    expect(checkWhen({ platform: '!linux' }, context())).toBe('not on linux');
+    expect(checkWhen({ platform: '!win32' }, context())).toBeNull();
+  });
+
+  test('should check files and environment variables', () => {
+    expect(checkWhen({ file_exists: 'package.json' }, context())).toBeNull();
+    expect(checkWhen({ file_exists: ['package.json', 'missing.lock'] }, context())).toBe('missing.lock not found');
+
+    const env = { CI: 'true', STAGE: 'dev' };
+    expect(checkWhen({ env: ['CI', 'STAGE'] }, context({ env }))).toBeNull();
+    expect(checkWhen({ env: 'TOKEN' }, context({ env }))).toBe('$TOKEN is not set');
+    expect(checkWhen({ env: { STAGE: 'prod' } }, context({ env }))).toBe('$STAGE is not "prod"');
+    expect(checkWhen({ env: { CI: true } }, context({ env }))).toBeNull();
+  });
+
+  test('should check another source\'s result', () => {
+    const sources = new Map([
+      ['Docker', { output: 'Docker version 24.0.7', exitCode: 0 }],
+      ['Broken', { output: '', exitCode: 1 }],
+      ['Skipped', { output: '', exitCode: null, skipped: 'not on linux' }]
+    ]);
+
+    expect(checkWhen({ source: 'Docker' }, context({ sources }))).toBeNull();
+    expect(checkWhen({ source: 'Broken' }, context({ sources }))).toBe('source "Broken" failed');
+    expect(checkWhen({ source: 'Skipped' }, context({ sources }))).toBe('source "Skipped" was skipped');
+    expect(checkWhen({ source: { name: 'Docker', contains: '24.' } }, context({ sources }))).toBeNull();
+    expect(checkWhen({ source: { name: 'Docker', matches: '^Podman' } }, context({ sources })))
+      .toBe('source "Docker" doesn\'t match (matches: expected "^Podman", got "Docker version 24.0.7")');
+  });
+
+  test('should require every condition', () => {
+    expect(checkWhen({ platform: 'linux', env: 'CI' }, context())).toBe('$CI is not set');
+    expect(checkWhen(undefined, context())).toBeNull();
+  });
+
+  test('should pick the command for the platform', () => {
+    const command = { win32: 'ver', darwin: 'sw_vers', default: 'uname -s' };
+    expect(platformCommand(command, 'win32')).toBe('ver');
+    expect(platformCommand(command, 'linux')).toBe('uname -s');
+    expect(platformCommand({ darwin: 'sw_vers' }, 'linux')).toBeUndefined();
+    expect(platformCommand('uname -s', 'win32')).toBe('uname -s');
+  });
+
+  test('should order sources after the source a condition depends on', () => {
+    const { levels, problems } = planSources({
+      truth_sources: [
+        { name: 'Compose', command: 'docker compose version', when: { source: 'Docker' } },
+        { name: 'Docker', command: 'docker --version' }
+      ],
+      validations: [
+        { name: 'Swarm', command: 'docker info', when: { source: 'Dockr' } }
+      ]
+    });
+
+    expect(levels).toEqual([[1], [0]]);
+    expect(problems.map(problem => `${problem.where}: ${problem.message}`)).toEqual([
+      'validations[0].when.source: Unknown source "Dockr" (did you mean "Docker"?)'
+    ]);
+  });
+
+  test('should validate `when:` and command maps in the config', () => {
+    const problems = validateConfig({
+      truth_sources: [
+        { name: 'OS', command: { win32: 'ver', default: 'uname -s' }, when: { platform: ['linux', '!win32'] } },
+        { name: 'Bad', command: { windows: 'ver' }, when: { os: 'linux' } }
+      ]
+    }).map(problem => problem.message);
+
+    expect(problems).toEqual([
+      'Unknown key "windows" in truth_sources[1].command',
+      'Unknown key "os" in truth_sources[1].when'
+    ]);
+  });
+
+  describe('DocTruth', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-conditions-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should report skipped items with the reason', async () => {
+      const other = process.platform === 'win32' ? 'linux' : 'win32';
+      const configPath = path.join(dir, '.doctruth.yml');
+      fs.writeFileSync(configPath, [
+        'truth_sources:',
+        '  - name: Here',
+        '    command:',
+        `      ${process.platform}: echo here`,
+        '      default: echo elsewhere',
+        '  - name: Elsewhere',
+        '    command:',
+        `      ${other}: echo elsewhere`,
+        '  - name: Uses Elsewhere',
+        '    command: echo ${sources.Elsewhere.output}',
+        'validations:',
+        '  - name: Only There',
+        '    command: echo yes',
+        '    required: true',
+        '    when:',
+        `      platform: ${other}`,
+        '  - name: After Here',
+        '    command: echo yes',
+        '    when:',
+        '      source: { name: Here, equals: here }',
+        'benchmarks:',
+        '  - name: Size',
+        '    command: echo 5',
+        '    max: 1',
+        '    when:',
+        '      file_exists: missing.txt'
+      ].join('\n'));
+
+      const doctruth = new DocTruth({ silent: true, config: configPath });
+      const skipped = [];
+      doctruth.on('validation:skip', validation => skipped.push(validation.name));
+      await doctruth.loadConfig();
+      await doctruth.run();
+
+      const { sources, validations, benchmarks } = doctruth.results;
+      expect(sources.map(source => [source.name, source.output, source.skipped])).toEqual([
+        ['Here', 'here', undefined],
+        ['Elsewhere', '', `no command for ${process.platform}`],
+        ['Uses Elsewhere', '', 'source "Elsewhere" was skipped']
+      ]);
+      expect(validations.map(v => [v.name, v.passed, v.skipped])).toEqual([
+        ['Only There', null, `not on ${process.platform}`],
+        ['After Here', true, undefined]
+      ]);
+      expect(benchmarks[0]).toEqual(expect.objectContaining({ skipped: 'missing.txt not found', failures: [] }));
+      expect(doctruth.errors).toEqual([]);
+      expect(skipped).toEqual(['Only There']);
+
+      const markdown = doctruth.toMarkdown();
+      expect(markdown).toContain('## Status: 1/1 validations passed (1 skipped)');
+      expect(markdown).toContain(`#### Elsewhere [SKIPPED]\n*Skipped: no command for ${process.platform}*`);
+      expect(markdown).toContain(`| ⏭️ | Only There | Skipped: not on ${process.platform} | Yes |`);
+      expect(renderTAP(doctruth)).toContain(`ok 1 - Validations: Only There # SKIP not on ${process.platform}`);
+
+      // Skipped items read back the same, so --check sees no change
+      const parsed = doctruth.parseOutput(markdown, 'markdown');
+      expect(parsed.sources[1].skipped).toBe(`no command for ${process.platform}`);
+      expect(parsed.validations[0]).toEqual(expect.objectContaining({ passed: null, skipped: `not on ${process.platform}` }));
+    });
+  });
+});
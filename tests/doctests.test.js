@@ -0,0 +1,208 @@
+/**
+ * Tests for doc tests in Markdown files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findSnippets, findBash, splitOutput, matchOutput } = require('../src/doctests');
+const { renderJUnit } = require('../src/reports');
+const DocTruth = require('../src/index');
+
+describe('doctests', () => {
+  test('should find marked shell snippets with their commands and output', () => {
+    const { snippets, errors } = findSnippets([
+      '<!-- doctruth:test -->',
+      '```bash',
+      '$ echo hello',
+      'hello',
+      '$ npm run build \\',
+      '>   --silent',
+      '```',
+      '',
+      '```sh doctest',
+      'echo one',
+      '# => one',
+      '```',
+      '',
+      '```bash',
+      'echo not marked',
+      '```',
+      '',
+      '<!-- doctruth:test { expect_exit_code: 1 } -->',
+      '```console',
+      '$ false',
+      '```'
+    ].join('\n'));
+
+    expect(errors).toEqual([]);
+    expect(snippets).toEqual([
+      {
+        line: 2,
+        language: 'bash',
+        options: {},
+        commands: [
+          { line: 3, command: 'echo hello', expected: 'hello' },
+          { line: 5, command: 'npm run build \\\n  --silent', expected: null }
+        ]
+      },
+      { line: 9, language: 'sh', options: {}, commands: [{ line: 10, command: 'echo one\n# => one', expected: 'one' }] },
+      { line: 19, language: 'console', options: { expect_exit_code: 1 }, commands: [{ line: 20, command: 'false', expected: null }] }
+    ]);
+  });
+
+  test('should run every shell snippet with `all` unless it is skipped', () => {
+    const content = [
+      '```bash',
+      'echo a',
+      '```',
+      '<!-- doctruth:skip -->',
+      '```bash',
+      'rm -rf build',
+      '```',
+      '```js',
+      'console.log(1)',
+      '```'
+    ].join('\n');
+
+    expect(findSnippets(content).snippets).toEqual([]);
+    expect(findSnippets(content, { all: true }).snippets.map(s => s.line)).toEqual([1]);
+  });
+
+  test('should report markers that cannot apply', () => {
+    const { errors } = findSnippets([
+      '<!-- doctruth:test -->',
+      '```js',
+      'x()',
+      '```',
+      '<!-- doctruth:test { includes: x } -->',
+      '```bash',
+      'echo x',
+      '```',
+      '```bash doctest',
+      'echo unclosed'
+    ].join('\n'));
+
+    expect(errors).toEqual([
+      { line: 1, message: 'doctruth:test marks a js block, not a shell snippet' },
+      { line: 5, message: 'Invalid doctruth:test options: Unknown assertion "includes"' },
+      { line: 9, message: 'Unclosed code block' }
+    ]);
+  });
+
+  test('should split output per command', () => {
+    const text = 'a\n__DOCTRUTH_DOCTEST__ 0\n\n__DOCTRUTH_DOCTEST__ 1\nbye';
+    expect(splitOutput(text, 3, 2)).toEqual([
+      { output: 'a', exitCode: 0 },
+      { output: '', exitCode: 1 },
+      { output: 'bye', exitCode: 2 }
+    ]);
+    expect(splitOutput(text, 3, null)).toHaveLength(2);
+  });
+
+  test('should find bash whatever the default shell is', () => {
+    expect(findBash()).toMatch(/bash(\.exe)?$/);
+    if (process.platform !== 'win32') {
+      expect(findBash({ PATH: '' })).toBe('/bin/bash');
+    }
+  });
+
+  test('should match output with "..." wildcards', () => {
+    expect(matchOutput('hello', 'hello  \n')).toBe(true);
+    expect(matchOutput('a\n...\nd', 'a\nb\nc\nd')).toBe(true);
+    expect(matchOutput('a\n...', 'a')).toBe(true);
+    expect(matchOutput('v...', 'v20.11.0')).toBe(true);
+    expect(matchOutput('a\nd', 'a\nb\nd')).toBe(false);
+    expect(matchOutput('v2...', 'v1.0.0')).toBe(false);
+  });
+
+  describe('DocTruth', () => {
+    let dir;
+    const cwd = process.cwd();
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-doctests-'));
+      fs.writeFileSync(path.join(dir, 'data.txt'), 'hello\n');
+      fs.writeFileSync(path.join(dir, 'README.md'), [
+        '# Demo',
+        '',
+        '<!-- doctruth:test -->',
+        '```bash',
+        '$ cat data.txt',
+        'hello',
+        '$ echo made > made.txt',
+        '```',
+        '',
+        '```bash doctest',
+        'cat made.txt',
+        '# => made',
+        '```',
+        '',
+        '<!-- doctruth:test { contains: world } -->',
+        '```bash',
+        '$ cat data.txt',
+        '```',
+        '',
+        '<!-- doctruth:test -->',
+        '```bash',
+        '$ ls missing.txt >/dev/null',
+        '$ echo never',
+        '```',
+        '',
+        '<!-- doctruth:test { expect_exit_code: 3 } -->',
+        '```bash',
+        '$ exit 3',
+        '```'
+      ].join('\n'));
+      fs.writeFileSync(path.join(dir, '.doctruth.yml'), [
+        'meta:',
+        '  history_limit: 0',
+        'doctests: README.md'
+      ].join('\n'));
+      process.chdir(dir);
+    });
+
+    afterEach(() => {
+      process.chdir(cwd);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should run snippets in a sandbox and report failures by file and line', async () => {
+      const doctruth = new DocTruth({ silent: true });
+      await doctruth.loadConfig();
+      await doctruth.generate();
+
+      expect(fs.existsSync(path.join(dir, 'made.txt'))).toBe(false);
+      expect(doctruth.results.doctests.map(d => [d.name, d.passed, d.failure])).toEqual([
+        ['README.md:4', true, null],
+        ['README.md:10', true, null],
+        ['README.md:16', false, 'line 17: contains: expected "world", got "hello"'],
+        ['README.md:21', false, 'line 22: [EXIT CODE: 2]'],
+        ['README.md:27', true, null]
+      ]);
+      expect(doctruth.results.doctests[3].excerpt).toMatch(/missing\.txt/);
+      expect(doctruth.errors.map(error => `${error.type}: ${error.source} - ${error.message}`)).toEqual([
+        'doctest: README.md:16 - Doc test failed (line 17: contains: expected "world", got "hello")',
+        'doctest: README.md:21 - Doc test failed (line 22: [EXIT CODE: 2])'
+      ]);
+      expect(renderJUnit(doctruth)).toContain('<failure message="line 22: [EXIT CODE: 2]" type="DocTestFailure">');
+
+      // Failing doc tests fail --check even when the file is current
+      expect(await doctruth.check()).toBe(true);
+      expect(doctruth.changes).toEqual([
+        { type: 'failing', section: 'doctests', name: 'README.md:16', after: 'line 17: contains: expected "world", got "hello"' },
+        { type: 'failing', section: 'doctests', name: 'README.md:21', after: 'line 22: [EXIT CODE: 2]' }
+      ]);
+    });
+
+    test('should run given files without a config', async () => {
+      fs.writeFileSync(path.join(dir, 'GUIDE.md'), '```bash\n$ cat data.txt\nhello\n```\n');
+
+      const doctruth = new DocTruth({ silent: true });
+      const results = await doctruth.doctest(['GUIDE.md'], { all: true });
+
+      expect(results.map(d => [d.name, d.passed])).toEqual([['GUIDE.md:1', true]]);
+      await expect(doctruth.doctest(['MISSING.md'])).rejects.toThrow('Doc test file not found: MISSING.md');
+    });
+  });
+});
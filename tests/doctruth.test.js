@@ -35,25 +35,121 @@ describe('DocTruth', () => {
     expect(doctruth.options.format).toBe('markdown');
   });
 
-  test('should run simple command', () => {
+  test('should run simple command', async () => {
     const doctruth = new DocTruth();
     // Use node for cross-platform consistency (echo behaves differently on Windows vs Unix)
-    const output = doctruth.runCommand('node -e "console.log(\'test\')"');
-    expect(output).toBe('test');
+    const result = await doctruth.runCommand('node -e "console.log(\'test\')"');
+    expect(result.output).toBe('test');
+    expect(result.exitCode).toBe(0);
+    expect(result.timedOut).toBe(false);
+    expect(typeof result.duration).toBe('number');
   });
 
-  test('should handle command timeout', () => {
+  test('should handle command timeout', async () => {
     const doctruth = new DocTruth({ timeout: 1 });
     // Use a command that works on both Windows and Unix
     // Pass timeout in seconds (will be converted to ms internally)
-    const output = doctruth.runCommand('node -e "setTimeout(() => {}, 5000)"', 1);
-    expect(output).toContain('[TIMEOUT');
+    const result = await doctruth.runCommand('node -e "setTimeout(() => {}, 5000)"', 1);
+    expect(result.timedOut).toBe(true);
+    expect(doctruth.isError(result)).toBe(true);
+    expect(doctruth.formatCommandError(result)).toContain('[TIMEOUT');
   });
 
-  test('should handle command failure', () => {
+  test('should handle command failure', async () => {
     const doctruth = new DocTruth();
-    const output = doctruth.runCommand('exit 42');
-    expect(output).toContain('[EXIT CODE: 42]');
+    const result = await doctruth.runCommand('node -e "console.log(\'partial\'); console.error(\'boom\'); process.exit(42)"');
+    expect(result).toMatchObject({ output: 'partial', stderr: 'boom', exitCode: 42, signal: null });
+    expect(doctruth.isError(result)).toBe(true);
+    expect(doctruth.displayOutput(result)).toBe('partial\n[EXIT CODE: 42]\nboom');
+  });
+
+  test('should keep config order when running concurrently', async () => {
+    const doctruth = new DocTruth({ silent: true, concurrency: 3 });
+    doctruth.config = {
+      truth_sources: [
+        { name: 'Slow', command: 'node -e "setTimeout(() => console.log(\'slow\'), 300)"' },
+        { name: 'Fast', command: 'node -e "console.log(\'fast\')"' },
+        { name: 'Medium', command: 'node -e "setTimeout(() => console.log(\'medium\'), 100)"' }
+      ]
+    };
+
+    await doctruth.processSources();
+
+    expect(doctruth.results.sources.map(s => s.output)).toEqual(['slow', 'fast', 'medium']);
+  });
+
+  test('should check against the committed file without overwriting it', async () => {
+    fs.writeFileSync(testConfigPath, [
+      'project: Test',
+      `output: ${JSON.stringify(testOutputPath)}`,
+      'meta:',
+      '  history_limit: 0',
+      'truth_sources:',
+      '  - name: Greeting',
+      '    command: node -e "console.log(\'hello\')"'
+    ].join('\n'));
+
+    const doctruth = new DocTruth({ config: testConfigPath, silent: true });
+    await doctruth.loadConfig();
+    await doctruth.generate();
+    const committed = fs.readFileSync(testOutputPath, 'utf8');
+
+    expect(await doctruth.check()).toBe(false);
+
+    doctruth.config.truth_sources[0].command = 'node -e "console.log(\'bye\')"';
+    expect(await doctruth.check()).toBe(true);
+    expect(doctruth.changes).toEqual([
+      expect.objectContaining({ section: 'sources', name: 'Greeting', field: 'output' }),
+      expect.objectContaining({ section: 'sources', name: 'Greeting', field: 'command' })
+    ]);
+    expect(fs.readFileSync(testOutputPath, 'utf8')).toBe(committed);
+  });
+
+  test('should record structured results for sources', async () => {
+    const doctruth = new DocTruth({ silent: true });
+    doctruth.config = {
+      truth_sources: [
+        { name: 'Valid output', command: 'node -e "console.log(\'cannot find anything wrong\')"', essential: true },
+        { name: 'Broken', command: 'node -e "console.error(\'bad\'); process.exit(2)"', essential: true }
+      ]
+    };
+    doctruth.results = { meta: { project: 'Test' } };
+
+    await doctruth.processSources();
+    const [valid, broken] = JSON.parse(doctruth.toJSON()).sources;
+
+    expect(valid).toMatchObject({ output: 'cannot find anything wrong', exitCode: 0, timedOut: false });
+    expect(broken).toMatchObject({ output: '', stderr: 'bad', exitCode: 2, signal: null });
+    expect(doctruth.errors).toEqual([
+      { type: 'essential', source: 'Broken', message: '[EXIT CODE: 2] bad' }
+    ]);
+  });
+
+  test('should collect native source types without a shell', async () => {
+    const doctruth = new DocTruth({ silent: true });
+    doctruth.config = {
+      truth_sources: [
+        { name: 'Package', type: 'json', path: 'package.json', field: 'name' },
+        { name: 'Tests', type: 'glob', pattern: 'tests/doctruth.test.js', count: true, category: 'Structure' }
+      ],
+      validations: [
+        { name: 'Has a bin', type: 'json', path: 'package.json', field: 'bin.doctruth', contains: 'doctruth.js' }
+      ]
+    };
+    doctruth.results = { meta: { project: 'Test' } };
+
+    await doctruth.processSources();
+    await doctruth.processValidations();
+
+    expect(doctruth.results.sources[0]).toMatchObject({
+      command: 'json: package.json#name',
+      type: 'json',
+      output: 'doctruth',
+      exitCode: 0
+    });
+    expect(doctruth.results.sources[1].output).toBe('1');
+    expect(doctruth.results.validations[0].passed).toBe(true);
+    expect(doctruth.toMarkdown()).toContain('```bash\n# json: package.json#name\ndoctruth\n```');
   });
 
   test('should generate default config', () => {
@@ -144,10 +240,14 @@ describe('DocTruth', () => {
 
     expect(doctruth.isError('[ERROR: test]')).toBe(true);
     expect(doctruth.isError('[TIMEOUT: test]')).toBe(true);
-    expect(doctruth.isError('command not found')).toBe(true);
-    expect(doctruth.isError('Permission denied')).toBe(true);
-    expect(doctruth.isError('Fatal: error')).toBe(true);
 
+    // Errors come from the exit status, not from words in the output
+    expect(doctruth.isError({ output: 'cannot find module', exitCode: 0 })).toBe(false);
+    expect(doctruth.isError({ output: 'Success', exitCode: 1 })).toBe(true);
+    expect(doctruth.isError({ output: '', exitCode: null, signal: 'SIGTERM' })).toBe(true);
+    expect(doctruth.isError({ output: '', exitCode: null, error: 'spawn ENOENT' })).toBe(true);
+
+    expect(doctruth.isError('command not found')).toBe(false);
     expect(doctruth.isError('Normal output')).toBe(false);
     expect(doctruth.isError('Success')).toBe(false);
   });
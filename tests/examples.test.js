@@ -0,0 +1,116 @@
+/**
+ * Tests for verified working examples
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSandbox, excerpt } = require('../src/examples');
+const { renderTAP } = require('../src/reports');
+const DocTruth = require('../src/index');
+
+describe('examples', () => {
+  let dir;
+  const cwd = process.cwd();
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-examples-'));
+    fs.mkdirSync(path.join(dir, 'docs'));
+    fs.mkdirSync(path.join(dir, '.git'));
+    fs.writeFileSync(path.join(dir, 'data.txt'), 'hello\n');
+    fs.writeFileSync(path.join(dir, 'docs', 'guide.md'), '# Guide\n');
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should copy the project to a sandbox without .git', () => {
+    fs.mkdirSync(path.join(dir, 'packages', 'app', 'node_modules', 'dep'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'packages', 'app', '.git'));
+
+    const sandbox = createSandbox(dir);
+    try {
+      expect(fs.readFileSync(path.join(sandbox.dir, 'data.txt'), 'utf8')).toBe('hello\n');
+      expect(fs.existsSync(path.join(sandbox.dir, 'docs', 'guide.md'))).toBe(true);
+      expect(fs.existsSync(path.join(sandbox.dir, '.git'))).toBe(false);
+      expect(fs.readdirSync(path.join(sandbox.dir, 'packages', 'app'))).toEqual([]);
+    } finally {
+      sandbox.remove();
+    }
+    expect(fs.existsSync(sandbox.dir)).toBe(false);
+  });
+
+  test('should keep the first lines of output', () => {
+    expect(excerpt('a\nb')).toBe('a\nb');
+    expect(excerpt('1\n2\n3\n4', 2)).toBe('1\n2\n… (2 more lines)');
+  });
+
+  test('should run examples in isolation and record pass/fail', async () => {
+    fs.writeFileSync(path.join(dir, '.doctruth.yml'), [
+      'meta:',
+      '  history_limit: 0',
+      'working_examples:',
+      '  - name: Read Data',
+      '    command: cat data.txt && touch created.txt',
+      '    verify: true',
+      '    equals: hello',
+      '  - name: Guide',
+      '    command: head -1 guide.md',
+      '    verify: true',
+      '    cwd: docs',
+      '    contains: Guide',
+      '  - name: Wrong Output',
+      '    command: echo goodbye',
+      '    verify: true',
+      '    contains: hello',
+      '  - name: Crashes',
+      '    command: echo partial; exit 3',
+      '    verify: true',
+      '  - name: Expected Exit',
+      '    command: exit 1',
+      '    verify: true',
+      '    expect_exit_code: 1',
+      '  - name: Shown Only',
+      '    command: echo "npm start"'
+    ].join('\n'));
+    process.chdir(dir);
+
+    const doctruth = new DocTruth({ silent: true });
+    await doctruth.loadConfig();
+    await doctruth.generate();
+
+    expect(fs.existsSync(path.join(dir, 'created.txt'))).toBe(false);
+    expect(doctruth.results.examples.map(e => [e.name, e.command, e.passed, e.failure])).toEqual([
+      ['Read Data', 'cat data.txt && touch created.txt', true, null],
+      ['Guide', 'head -1 guide.md', true, null],
+      ['Wrong Output', 'echo goodbye', false, 'contains: expected "hello", got "goodbye"'],
+      ['Crashes', 'echo partial; exit 3', false, '[EXIT CODE: 3]'],
+      ['Expected Exit', 'exit 1', true, null],
+      ['Shown Only', 'npm start', undefined, undefined]
+    ]);
+    expect(doctruth.errors.map(error => `${error.type}: ${error.source} - ${error.message}`)).toEqual([
+      'example: Wrong Output - Example failed (contains: expected "hello", got "goodbye")',
+      'example: Crashes - Example failed ([EXIT CODE: 3])'
+    ]);
+
+    const markdown = fs.readFileSync(path.join(dir, 'CURRENT_TRUTH.md'), 'utf8');
+    expect(markdown).toContain('# Read Data\ncat data.txt && touch created.txt\n# ✅ Verified\n# > hello\n');
+    expect(markdown).toContain('# Crashes\necho partial; exit 3\n# ❌ Failed: [EXIT CODE: 3]\n# > partial\n# > [EXIT CODE: 3]\n');
+    expect(doctruth.parseOutput(markdown, 'markdown').examples[3]).toEqual(expect.objectContaining({
+      verified: true,
+      passed: false,
+      failure: '[EXIT CODE: 3]',
+      excerpt: 'partial\n[EXIT CODE: 3]'
+    }));
+    expect(renderTAP(doctruth)).toContain('not ok 4 - Working Examples: Crashes');
+
+    // Broken examples fail --check even when the file is current
+    expect(await doctruth.check()).toBe(true);
+    expect(doctruth.changes).toEqual([
+      { type: 'failing', section: 'examples', name: 'Wrong Output', after: 'contains: expected "hello", got "goodbye"' },
+      { type: 'failing', section: 'examples', name: 'Crashes', after: '[EXIT CODE: 3]' }
+    ]);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests for the built-in glob matcher
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { glob, globToRegExp, matches } = require('../src/glob');
+
+describe('glob', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-glob-'));
+    const files = [
+      'README.md',
+      'package.json',
+      'src/index.js',
+      'src/util.ts',
+      'src/lib/deep.js',
+      'tests/index.test.js',
+      'node_modules/dep/index.js',
+      '.hidden/secret.js'
+    ];
+    for (const file of files) {
+      fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), '');
+    }
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should translate glob syntax into regular expressions', () => {
+    expect(globToRegExp('*.js').test('index.js')).toBe(true);
+    expect(globToRegExp('*.js').test('src/index.js')).toBe(false);
+    expect(globToRegExp('**/*.js').test('index.js')).toBe(true);
+    expect(globToRegExp('**/*.js').test('src/lib/deep.js')).toBe(true);
+    expect(globToRegExp('src/*.{js,ts}').test('src/util.ts')).toBe(true);
+    expect(globToRegExp('file?.[!a]').test('file1.b')).toBe(true);
+    expect(globToRegExp('file?.[!a]').test('file1.a')).toBe(false);
+    expect(matches('src/index.js', ['docs/**', './src/**'])).toBe(true);
+  });
+
+  test('should find files recursively, skipping node_modules and dotfiles', () => {
+    expect(glob('**/*.js', { cwd: dir })).toEqual(['src/index.js', 'src/lib/deep.js', 'tests/index.test.js']);
+    expect(glob('**/*.js', { cwd: dir, dot: true })).toContain('.hidden/secret.js');
+  });
+
+  test('should support negation, literals and directories', () => {
+    expect(glob(['src/**/*.{js,ts}', '!src/lib/**'], { cwd: dir })).toEqual(['src/index.js', 'src/util.ts']);
+    expect(glob(['package.json', 'missing.json'], { cwd: dir })).toEqual(['package.json']);
+    expect(glob('**', { cwd: dir, directories: true })).toEqual(['src', 'src/lib', 'tests']);
+  });
+});
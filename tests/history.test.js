@@ -0,0 +1,83 @@
+/**
+ * Tests for truth snapshot history
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const history = require('../src/history');
+
+function results(nodeVersion, generated) {
+  return {
+    meta: { project: 'Test', generated, generationTime: '1s' },
+    sources: [
+      { name: 'Node Version', command: 'node --version', output: nodeVersion },
+      { name: 'Dependencies', command: 'npm ls', output: 'a@1\nb@2' }
+    ]
+  };
+}
+
+describe('history', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-history-'));
+    history.saveSnapshot(results('v18.0.0', '2025-01-01T00:00:00.000Z'), [], { dir, commit: 'aaa1111' });
+    history.saveSnapshot(results('v18.0.0', '2025-02-01T00:00:00.000Z'), [], { dir, commit: 'bbb2222' });
+    history.saveSnapshot(results('v20.0.0', '2025-03-01T00:00:00.000Z'), [], { dir, commit: 'ccc3333' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should list snapshots oldest first with their commit', () => {
+    const snapshots = history.listSnapshots(dir);
+    expect(snapshots.map(s => s.id)).toEqual([
+      '20250101T000000000Z-aaa1111',
+      '20250201T000000000Z-bbb2222',
+      '20250301T000000000Z-ccc3333'
+    ]);
+    expect(snapshots[0].commit).toBe('aaa1111');
+  });
+
+  test('should resolve snapshot references', () => {
+    expect(history.loadSnapshot('latest', dir).commit).toBe('ccc3333');
+    expect(history.loadSnapshot('previous', dir).commit).toBe('bbb2222');
+    expect(history.loadSnapshot('latest~2', dir).commit).toBe('aaa1111');
+    expect(history.loadSnapshot('bbb22', dir).commit).toBe('bbb2222');
+    expect(history.loadSnapshot('202502', dir).commit).toBe('bbb2222');
+    expect(() => history.loadSnapshot('2025', dir)).toThrow('ambiguous');
+    expect(() => history.loadSnapshot('zzz', dir)).toThrow('Snapshot not found');
+  });
+
+  test('should diff two snapshots per source', () => {
+    const a = history.loadSnapshot('aaa1111', dir);
+    const b = history.loadSnapshot('ccc3333', dir);
+    const changes = history.diffSnapshots(a, b);
+
+    expect(changes).toEqual([
+      expect.objectContaining({ section: 'sources', name: 'Node Version', field: 'output', before: 'v18.0.0', after: 'v20.0.0' })
+    ]);
+
+    const markdown = history.formatDiff(changes, a, b, { markdown: true });
+    expect(markdown).toContain('### Node Version (output)');
+    expect(markdown).toContain('- v18.0.0\n+ v20.0.0');
+  });
+
+  test('should show when a source changed', () => {
+    const timeline = history.sourceTimeline('Node Version', dir);
+    expect(timeline.map(t => [t.commit, t.output])).toEqual([
+      ['aaa1111', 'v18.0.0'],
+      ['ccc3333', 'v20.0.0']
+    ]);
+  });
+
+  test('should prune the oldest snapshots beyond the limit', () => {
+    history.saveSnapshot(results('v22.0.0', '2025-04-01T00:00:00.000Z'), [], { dir, commit: null, limit: 2 });
+    expect(history.listSnapshots(dir).map(s => s.id)).toEqual([
+      '20250301T000000000Z-ccc3333',
+      '20250401T000000000Z'
+    ]);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for the HTML report renderer
+ */
+
+const DocTruth = require('../src/index');
+const { parseTruth } = require('../src/compare');
+
+function renderResults() {
+  const doctruth = new DocTruth();
+  doctruth.results = {
+    meta: { project: 'Test', generated: '2026-01-01T00:00:00.000Z', generationTime: '0.5s' },
+    sources: [
+      { name: 'Node', command: 'node --version', output: 'v20.0.0', exitCode: 0, essential: true, category: 'Environment' },
+      { name: 'Broken', command: 'make', output: '', stderr: 'oops </script>', exitCode: 2, essential: false, category: 'Build' }
+    ],
+    validations: [
+      { name: 'Tests <pass>', passed: true, output: 'ok', exitCode: 0, required: true },
+      { name: 'Coverage', passed: false, output: '70', exitCode: 0, required: false, assertions: [{ kind: 'gte', expected: 80, actual: 70, passed: false }] }
+    ],
+    benchmarks: [
+      { name: 'Build', value: '3s', unit: 's', exitCode: 0, failures: ['3 s exceeds max 2s'] }
+    ],
+    platform: [
+      { name: 'OS', value: 'Linux', exitCode: 0 }
+    ]
+  };
+  doctruth.errors = [{ type: 'benchmark', source: 'Build', message: '3 s exceeds max 2s' }];
+  return doctruth.toHTML();
+}
+
+describe('html', () => {
+  test('should render tables instead of Markdown pipes', () => {
+    const html = renderResults();
+
+    expect(html).toContain('<thead><tr><th>Status</th><th>Validation</th><th>Result</th><th>Required</th></tr></thead>');
+    expect(html).toContain('<tr class="pass"><td class="status">✔ Pass</td><td>Tests &lt;pass&gt;</td>');
+    expect(html).toContain('<td><code>gte: expected 80, got 70</code></td>');
+    expect(html).toContain('<tr class="fail"><td>Build</td><td>3s s<br><small>3 s exceeds max 2s</small></td>');
+    expect(html).not.toMatch(/\| .* \|/);
+  });
+
+  test('should group collapsible sources by category with a table of contents', () => {
+    const html = renderResults();
+
+    expect(html).toContain('<h3 id="category-environment">Environment</h3>');
+    expect(html).toContain('<details class="source pass">\n<summary>Node<span class="badge">essential</span></summary>');
+    expect(html).toContain('<details class="source fail" open>');
+    expect(html).toContain('<li><a href="#project-state">Project State</a><ul><li><a href="#category-environment">Environment</a></li>');
+    expect(html).toContain('<li><a href="#warnings">Warnings</a></li>');
+    expect(html).toContain('<span class="badge fail">1/2 validations passed</span>');
+  });
+
+  test('should be self-contained and embed its results', () => {
+    const html = renderResults();
+
+    expect(html).not.toMatch(/<link|<script src|https?:\/\//);
+    expect(html.match(/<\/script>/g)).toHaveLength(1);
+
+    const parsed = parseTruth(html, 'html');
+    expect(parsed.sources[1].stderr).toBe('oops </script>');
+    expect(parsed.meta.project).toBe('Test');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for injecting truth into marker regions of existing docs
+ */
+
+const DocTruth = require('../src/index');
+const { findRegions, injectRegions } = require('../src/inject');
+
+const doc = [
+  '# Readme',
+  '<!-- doctruth:start Node Version -->',
+  'v18.0.0',
+  '<!-- doctruth:end -->',
+  'Text in between',
+  '<!-- doctruth:start Unknown -->',
+  'untouched',
+  '<!-- doctruth:end -->'
+].join('\n');
+
+describe('inject', () => {
+  test('should find marker regions with line numbers', () => {
+    const { regions, errors } = findRegions(doc);
+
+    expect(errors).toEqual([]);
+    expect(regions.map(r => [r.name, r.line, r.body])).toEqual([
+      ['Node Version', 2, 'v18.0.0'],
+      ['Unknown', 6, 'untouched']
+    ]);
+  });
+
+  test('should replace known regions and leave unknown ones alone', () => {
+    const render = name => (name === 'Node Version' ? 'v20.1.0' : null);
+    const result = injectRegions(doc, render);
+
+    expect(result.content).toContain('<!-- doctruth:start Node Version -->\nv20.1.0\n<!-- doctruth:end -->');
+    expect(result.content).toContain('untouched');
+    expect(result.regions[0]).toMatchObject({ name: 'Node Version', known: true, stale: true });
+    expect(result.regions[1]).toMatchObject({ name: 'Unknown', known: false, stale: false });
+  });
+
+  test('should not report up-to-date regions as stale', () => {
+    const result = injectRegions(doc, name => (name === 'Node Version' ? 'v18.0.0' : null));
+    expect(result.regions[0].stale).toBe(false);
+    expect(result.content).toBe(doc);
+  });
+
+  test('should ignore markers inside fenced code blocks', () => {
+    const content = [
+      '```markdown',
+      '<!-- doctruth:start Node Version -->',
+      '<!-- doctruth:end -->',
+      '```',
+      '~~~',
+      '<!-- doctruth:end -->',
+      '~~~',
+      '<!-- doctruth:start Node Version -->',
+      '```',
+      'v18.0.0',
+      '```',
+      '<!-- doctruth:end -->'
+    ].join('\n');
+
+    const { regions, errors } = findRegions(content);
+    expect(errors).toEqual([]);
+    expect(regions.map(r => [r.name, r.line])).toEqual([['Node Version', 8]]);
+
+    const result = injectRegions(content, () => 'v20.1.0');
+    expect(result.content.split('\n').slice(0, 8)).toEqual(content.split('\n').slice(0, 8));
+    expect(result.content).toContain('<!-- doctruth:start Node Version -->\nv20.1.0\n<!-- doctruth:end -->');
+  });
+
+  test('should report unbalanced markers', () => {
+    const { errors } = findRegions('<!-- doctruth:start A -->\ntext');
+    expect(errors[0].message).toContain('Unclosed');
+  });
+
+  test('should render sources and sections for regions', () => {
+    const doctruth = new DocTruth();
+    doctruth.results = {
+      meta: { project: 'Test' },
+      sources: [{ name: 'Node Version', command: 'node --version', output: 'v20.1.0' }],
+      platform: [{ name: 'OS', value: 'Linux' }]
+    };
+
+    expect(doctruth.renderRegion('Node Version')).toBe('```\nv20.1.0\n```');
+    expect(doctruth.renderRegion('Environment')).toBe('- **OS**: Linux');
+    expect(doctruth.renderRegion('Missing')).toBeNull();
+  });
+});
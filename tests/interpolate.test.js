@@ -0,0 +1,187 @@
+/**
+ * Tests for variables, env interpolation and source references
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveVars, interpolateConfig, sourceReferences, planSources, quoteShell, resolveReferences } = require('../src/interpolate');
+const DocTruth = require('../src/index');
+
+describe('interpolate', () => {
+  test('should resolve vars that use env and other vars', () => {
+    expect(resolveVars({ name: 'app-${env.STAGE}', ver: 2, full: '${vars.name}@${vars.ver}' }, { STAGE: 'prod' })).toEqual({
+      vars: { name: 'app-prod', ver: 2, full: 'app-prod@2' },
+      problems: []
+    });
+  });
+
+  test('should report circular and unknown vars', () => {
+    const { problems } = resolveVars({ a: '${vars.b}', b: '${vars.a}', c: '${vars.nmae}', name: 'x' }, {});
+    expect(problems.map(problem => problem.message)).toEqual([
+      'Circular variable references: vars.a → vars.b → vars.a',
+      'Unknown variable "vars.nmae" (did you mean "vars.name"?)'
+    ]);
+  });
+
+  test('should interpolate commands, names and output paths but leave shell syntax alone', () => {
+    const { config, problems } = interpolateConfig({
+      vars: { ver: '1.2' },
+      output: 'docs/truth-${vars.ver}.md',
+      truth_sources: [
+        { name: 'Release ${vars.ver}', command: 'echo ${env.HOME_DIR} ${HOME} $${vars.ver} ${sources.Base.output}' }
+      ]
+    }, { HOME_DIR: '/home/me' });
+
+    expect(problems).toEqual([]);
+    expect(config.output).toBe('docs/truth-1.2.md');
+    expect(config.truth_sources[0]).toEqual({
+      name: 'Release 1.2',
+      command: 'echo /home/me ${HOME} ${vars.ver} ${sources.Base.output}'
+    });
+  });
+
+  test('should say where an unknown var is used', () => {
+    const { problems } = interpolateConfig({ vars: { version: 1 }, validations: [{ name: 'V', command: 'echo ${vars.verison}' }] }, {});
+    expect(problems).toEqual([expect.objectContaining({
+      where: 'validations[0].command',
+      message: 'Unknown variable "vars.verison" (did you mean "vars.version"?)',
+      reference: '${vars.verison}'
+    })]);
+  });
+
+  test('should order sources by the sources they reference', () => {
+    const config = {
+      truth_sources: [
+        { name: 'Upper', command: 'echo ${sources.Base.output} | tr a-z A-Z' },
+        { name: 'Base', command: 'echo base' },
+        { name: 'Both', command: 'echo ${sources.Upper.output} ${sources.Base.exitCode}' },
+        { name: 'Alone', command: 'echo alone' }
+      ]
+    };
+
+    expect(sourceReferences(config.truth_sources[2])).toEqual(['Upper', 'Base']);
+    expect(planSources(config)).toEqual({ levels: [[1, 3], [0], [2]], problems: [] });
+  });
+
+  test('should report cycles, unknown sources and missing fields', () => {
+    const { levels, problems } = planSources({
+      truth_sources: [
+        { name: 'A', command: 'echo ${sources.B.output}' },
+        { name: 'B', command: 'echo ${sources.A.output}' }
+      ],
+      validations: [
+        { name: 'V', command: 'echo ${sources.Aa.output} ${sources.B}' }
+      ]
+    });
+
+    expect(levels).toEqual([]);
+    expect(problems.map(problem => `${problem.where}: ${problem.message}`)).toEqual([
+      'validations[0].command: Unknown source "Aa" (did you mean "A"?)',
+      'validations[0].command: Reference ${sources.B} needs a field: .output, .exitCode, .stderr',
+      'truth_sources[0]: Circular source references: A → B → A'
+    ]);
+  });
+
+  test('should fill in references and keep items without any', () => {
+    const results = { Base: { output: 'base', exitCode: 0 } };
+    const item = { name: 'Upper', command: 'echo ${sources.Base.output}:${sources.Base.exitCode}' };
+    const plain = { name: 'Plain', command: 'echo ${HOME}' };
+
+    expect(resolveReferences(item, name => results[name])).toEqual({ name: 'Upper', command: 'echo base:0' });
+    expect(resolveReferences(plain, name => results[name])).toBe(plain);
+  });
+
+  test('should quote references in commands as one shell word', () => {
+    const output = "it's $(rm -rf x) `id`";
+    const item = { name: 'Log', command: 'echo ${sources.Message.output}', path: '${sources.Message.output}' };
+
+    expect(resolveReferences(item, () => ({ output }))).toEqual({ name: 'Log', command: `echo ${quoteShell(output)}`, path: output });
+    expect(quoteShell(output, 'linux')).toBe("'it'\\''s $(rm -rf x) `id`'");
+    expect(quoteShell('v1.2.0', 'linux')).toBe('v1.2.0');
+    expect(quoteShell('', 'linux')).toBe("''");
+    expect(quoteShell('say "hi"', 'win32')).toBe('"say ""hi"""');
+  });
+
+  describe('DocTruth', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-interpolate-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should run sources after the sources they reference', async () => {
+      const configPath = path.join(dir, '.doctruth.yml');
+      fs.writeFileSync(configPath, [
+        'vars:',
+        '  greeting: hello',
+        `output: ${dir}/truth-\${vars.greeting}.md`,
+        'truth_sources:',
+        '  - name: Upper',
+        '    command: echo ${sources.Base.output} | tr a-z A-Z',
+        '  - name: Base',
+        '    command: echo ${vars.greeting}',
+        '  - name: Broken',
+        '    command: exit 3',
+        '  - name: After',
+        '    command: echo ${sources.Broken.output}',
+        'validations:',
+        '  - name: Shouting',
+        '    command: echo ${sources.Upper.output}',
+        '    equals: HELLO'
+      ].join('\n'));
+
+      const doctruth = new DocTruth({ silent: true, config: configPath });
+      await doctruth.loadConfig();
+      await doctruth.run();
+
+      expect(doctruth.getOutputPath()).toBe(`${dir}/truth-hello.md`);
+      expect(doctruth.results.sources.map(source => [source.name, source.output])).toEqual([
+        ['Upper', 'HELLO'],
+        ['Base', 'hello'],
+        ['Broken', ''],
+        ['After', '']
+      ]);
+      expect(doctruth.results.sources[3].error).toBe('Source "Broken" failed');
+      expect(doctruth.results.validations[0].passed).toBe(true);
+    });
+
+    test('should pass outputs with quotes and $(...) to commands unchanged', async () => {
+      const configPath = path.join(dir, '.doctruth.yml');
+      fs.writeFileSync(path.join(dir, 'message.txt'), 'Fix the user\'s "name" $(touch pwned) `touch pwned`  twice');
+      fs.writeFileSync(configPath, [
+        'truth_sources:',
+        '  - name: Message',
+        '    type: file',
+        `    path: ${path.join(dir, 'message.txt')}`,
+        '  - name: Echoed',
+        '    command: node -e "process.stdout.write(process.argv[1])" ${sources.Message.output}'
+      ].join('\n'));
+
+      const doctruth = new DocTruth({ silent: true, config: configPath });
+      await doctruth.loadConfig();
+      await doctruth.run();
+
+      expect(doctruth.results.sources[1].output).toBe('Fix the user\'s "name" $(touch pwned) `touch pwned`  twice');
+      expect(fs.existsSync(path.join(process.cwd(), 'pwned'))).toBe(false);
+    });
+
+    test('should refuse circular references with their location', async () => {
+      const configPath = path.join(dir, '.doctruth.yml');
+      fs.writeFileSync(configPath, [
+        'truth_sources:',
+        '  - name: A',
+        '    command: echo ${sources.B.output}',
+        '  - name: B',
+        '    command: echo ${sources.A.output}'
+      ].join('\n'));
+
+      const doctruth = new DocTruth({ silent: true, config: configPath });
+      await expect(doctruth.loadConfig()).rejects.toThrow(`${configPath}:2:11: truth_sources[0]: Circular source references: A → B → A`);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for Markdown link checking
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractLinks, findAnchors, slugify, checkLinks } = require('../src/links');
+const DocTruth = require('../src/index');
+
+describe('links', () => {
+  test('should find links, images, definitions and HTML links outside code', () => {
+    const content = [
+      '![logo](img/logo.png "Logo") and [guide](<docs/the guide.md>)',
+      '`[code](nope.md)` [site](https://example.com)',
+      '```md',
+      '[fenced](nope.md)',
+      '```',
+      '[ref]: docs/ref.md',
+      '<img src="img/a.png"> <a href="#usage">usage</a>'
+    ].join('\n');
+
+    expect(extractLinks(content)).toEqual([
+      { target: 'img/logo.png', line: 1 },
+      { target: 'docs/the guide.md', line: 1 },
+      { target: 'https://example.com', line: 2 },
+      { target: 'docs/ref.md', line: 6 },
+      { target: 'img/a.png', line: 7 },
+      { target: '#usage', line: 7 }
+    ]);
+  });
+
+  test('should build GitHub-style anchors', () => {
+    expect(slugify('Getting Started!')).toBe('getting-started');
+    expect(slugify('`run()` and [the API](api.md)')).toBe('run-and-the-api');
+    expect(slugify('Node.js & Python')).toBe('nodejs--python');
+
+    expect([...findAnchors([
+      '# Usage',
+      '## Usage',
+      'Setup Guide',
+      '-----------',
+      '<a id="Custom"></a>',
+      '```',
+      '# not a heading',
+      '```'
+    ].join('\n'))]).toEqual(['usage', 'usage-1', 'setup-guide', 'custom']);
+  });
+
+  describe('checkLinks', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-links-'));
+      fs.mkdirSync(path.join(dir, 'docs'));
+      fs.writeFileSync(path.join(dir, 'logo.png'), '');
+      fs.writeFileSync(path.join(dir, 'README.md'), [
+        '# Demo',
+        '![logo](logo.png) ![gone](missing.png)',
+        '[guide](docs/guide.md#install) [bad anchor](docs/guide.md#setup)',
+        '[top](#demo) [nowhere](#nowhere) [mail](mailto:a@example.com)'
+      ].join('\n'));
+      fs.writeFileSync(path.join(dir, 'docs', 'guide.md'), '## Install\n[home](../README.md#demo) [root](/logo.png)\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should report links that do not resolve with file and line', () => {
+      expect(checkLinks('**/*.md', { cwd: dir })).toEqual({
+        files: 2,
+        links: 8,
+        broken: [
+          { file: 'README.md', line: 2, target: 'missing.png', reason: 'file not found' },
+          { file: 'README.md', line: 3, target: 'docs/guide.md#setup', reason: 'no heading #setup in docs/guide.md' },
+          { file: 'README.md', line: 4, target: '#nowhere', reason: 'no heading #nowhere' }
+        ]
+      });
+      expect(checkLinks('**/*.md', { cwd: dir, ignore: ['README.md'] }).broken).toEqual([]);
+    });
+
+    test('should run as a validation type', async () => {
+      const configPath = path.join(dir, '.doctruth.yml');
+      fs.writeFileSync(configPath, [
+        'validations:',
+        '  - name: Guide Links',
+        '    type: links',
+        '    pattern: docs/guide.md',
+        '  - name: All Links',
+        '    type: links',
+        '  - name: Defaulted Links',
+        '    type: links',
+        '    default: fine'
+      ].join('\n'));
+
+      const cwd = process.cwd();
+      process.chdir(dir);
+      try {
+        const doctruth = new DocTruth({ silent: true, config: configPath });
+        await doctruth.loadConfig();
+        await doctruth.run();
+
+        expect(doctruth.results.validations.map(v => [v.name, v.passed, v.output])).toEqual([
+          ['Guide Links', true, '2 local link(s) in 1 file(s) resolve'],
+          ['All Links', false, ''],
+          // A default stands in for a check that can't run, not for broken links
+          ['Defaulted Links', false, '']
+        ]);
+        expect(doctruth.toMarkdown()).toContain('| ❌ | All Links | [ERROR: 3 broken link(s): README.md:2: missing.png (file not found); ' +
+          'README.md:3: docs/guide.md#setup (no heading #setup in docs/guide.md); README.md:4: #nowhere (no heading #nowhere)] | No |');
+      } finally {
+        process.chdir(cwd);
+      }
+    });
+
+    test('should report lines as they are after regions are injected', async () => {
+      const configPath = path.join(dir, '.doctruth.yml');
+      fs.writeFileSync(path.join(dir, 'README.md'), [
+        '# Demo',
+        '<!-- doctruth:start Files -->',
+        '<!-- doctruth:end -->',
+        '![gone](missing.png)'
+      ].join('\n'));
+      fs.writeFileSync(path.join(dir, 'files.txt'), 'a\nb\nc\n');
+      fs.writeFileSync(configPath, [
+        `output: ${path.join(dir, 'TRUTH.md')}`,
+        'inject: README.md',
+        'meta:',
+        '  history_limit: 0',
+        'truth_sources:',
+        '  - name: Files',
+        '    type: file',
+        '    path: files.txt',
+        'validations:',
+        '  - name: Links',
+        '    type: links',
+        '    pattern: README.md'
+      ].join('\n'));
+
+      const cwd = process.cwd();
+      process.chdir(dir);
+      try {
+        const doctruth = new DocTruth({ silent: true, config: configPath });
+        await doctruth.loadConfig();
+        await doctruth.generate();
+
+        const readme = fs.readFileSync(path.join(dir, 'README.md'), 'utf8').split('\n');
+        expect(readme.indexOf('![gone](missing.png)') + 1).toBe(9);
+        expect(doctruth.results.validations[0].error).toContain('README.md:9: missing.png');
+        expect(await doctruth.check()).toBe(false);
+      } finally {
+        process.chdir(cwd);
+      }
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for writing several outputs from one run
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocTruth = require('../src/index');
+
+describe('outputs', () => {
+  let dir;
+  let configPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-outputs-'));
+    configPath = path.join(dir, '.doctruth.yml');
+    fs.writeFileSync(path.join(dir, 'status.mustache'), '{{#validations}}{{name}}: {{status}}\n{{/validations}}');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeConfig = outputs => fs.writeFileSync(configPath, [
+    'project: Multi',
+    'meta:',
+    '  history_limit: 0',
+    'outputs:',
+    ...outputs,
+    'truth_sources:',
+    '  - name: Runs',
+    `    command: echo run >> ${path.join(dir, 'runs.txt')}; echo collected`,
+    'validations:',
+    '  - name: Works',
+    '    command: echo OK',
+    'platform:',
+    '  - name: OS',
+    '    command: echo Linux'
+  ].join('\n'));
+
+  test('should render every output from one collection', async () => {
+    writeConfig([
+      `  - path: ${path.join(dir, 'TRUTH.md')}`,
+      `  - path: ${path.join(dir, 'build', 'truth.json')}`,
+      `  - path: ${path.join(dir, 'build', 'report.xml')}`,
+      `  - path: ${path.join(dir, 'STATUS.md')}`,
+      '    template: status.mustache',
+      `  - path: ${path.join(dir, 'env.html')}`,
+      '    format: html',
+      '    sections: [platform]'
+    ]);
+
+    const doctruth = new DocTruth({ silent: true, config: configPath });
+    const saved = [];
+    doctruth.on('save', event => saved.push([path.relative(dir, event.path), event.format]));
+    await doctruth.loadConfig();
+    await doctruth.generate();
+
+    expect(fs.readFileSync(path.join(dir, 'runs.txt'), 'utf8')).toBe('run\n');
+    expect(saved).toEqual([
+      ['TRUTH.md', 'markdown'],
+      [path.join('build', 'truth.json'), 'json'],
+      [path.join('build', 'report.xml'), 'junit'],
+      ['STATUS.md', 'markdown'],
+      ['env.html', 'html']
+    ]);
+    expect(fs.readFileSync(path.join(dir, 'TRUTH.md'), 'utf8')).toContain('# Multi - Current Truth');
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'build', 'truth.json'), 'utf8')).sources[0].output).toBe('collected');
+    expect(fs.readFileSync(path.join(dir, 'build', 'report.xml'), 'utf8')).toContain('<testcase name="Works"');
+    expect(fs.readFileSync(path.join(dir, 'STATUS.md'), 'utf8')).toBe('Works: pass\n');
+
+    const html = fs.readFileSync(path.join(dir, 'env.html'), 'utf8');
+    expect(html).toContain('Linux');
+    expect(html).not.toContain('collected');
+
+    // Every output is checked, including ones that were never written
+    expect(await doctruth.check()).toBe(false);
+    fs.rmSync(path.join(dir, 'build', 'truth.json'));
+    fs.writeFileSync(path.join(dir, 'TRUTH.md'), fs.readFileSync(path.join(dir, 'TRUTH.md'), 'utf8').replace('\ncollected\n', '\nstale\n'));
+    expect(await doctruth.check()).toBe(true);
+    expect(doctruth.changes).toEqual([
+      expect.objectContaining({ type: 'changed', section: 'sources', name: 'Runs', field: 'output' }),
+      { type: 'missing', section: 'output', name: path.join(dir, 'build', 'truth.json') }
+    ]);
+  });
+
+  test('should write only --output when it is given', async () => {
+    writeConfig([`  - path: ${path.join(dir, 'TRUTH.md')}`]);
+    const output = path.join(dir, 'one.json');
+
+    const doctruth = new DocTruth({ silent: true, config: configPath, output, format: 'json' });
+    await doctruth.loadConfig();
+    await doctruth.generate();
+
+    expect(fs.existsSync(output)).toBe(true);
+    expect(fs.existsSync(path.join(dir, 'TRUTH.md'))).toBe(false);
+  });
+
+  test('should report unknown formats in the config', async () => {
+    writeConfig([`  - path: ${path.join(dir, 'TRUTH.txt')}`, '    format: text']);
+
+    const doctruth = new DocTruth({ silent: true, config: configPath });
+    await expect(doctruth.loadConfig()).rejects.toThrow('outputs[0].format: Unknown format "text"');
+  });
+
+  test('should reject an empty outputs list and fall back to the output file', async () => {
+    fs.writeFileSync(configPath, 'outputs: []\n');
+    await expect(new DocTruth({ silent: true, config: configPath }).loadConfig())
+      .rejects.toThrow(`${configPath}:1:1: outputs should not be empty`);
+
+    const doctruth = new DocTruth({ silent: true });
+    doctruth.config = { outputs: [] };
+    expect(doctruth.getOutputPath()).toBe('CURRENT_TRUTH.md');
+    expect(doctruth.getOutputs()).toEqual([{ output: 'CURRENT_TRUTH.md', format: 'markdown' }]);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for the plugin API
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocTruth = require('../src/index');
+
+describe('plugins', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-plugins-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should register source types, assertions, formatters and hooks', async () => {
+    const events = [];
+    const doctruth = new DocTruth({ silent: true, format: 'csv' });
+
+    doctruth.use(api => {
+      api.registerSourceType('constant', {
+        describe: item => `constant: ${item.value}`,
+        run: item => item.value
+      });
+      api.registerAssertion('is_upper', (expected, context) => ({
+        passed: (context.output === context.output.toUpperCase()) === expected,
+        actual: context.output
+      }));
+      api.registerFormatter('csv', {
+        render: results => results.sources.map(s => `${s.name},${s.output}`).join('\n'),
+        parse: content => ({
+          meta: {},
+          sources: content.split('\n').map(line => {
+            const [name, output] = line.split(',');
+            return { name, output };
+          })
+        })
+      });
+      api.addHook('beforeSource', source => {
+        events.push(`before ${source.name}`);
+      });
+      api.addHook('afterSource', result => ({ ...result, output: result.output.toUpperCase() }));
+    });
+
+    doctruth.config = {
+      truth_sources: [{ name: 'Greeting', type: 'constant', value: 'hello' }],
+      validations: [{ name: 'Shouting', type: 'constant', value: 'LOUD', is_upper: true }]
+    };
+    await doctruth.collect();
+
+    expect(events).toEqual(['before Greeting']);
+    expect(doctruth.results.sources[0]).toMatchObject({ command: 'constant: hello', type: 'constant', output: 'HELLO' });
+    expect(doctruth.results.validations[0].passed).toBe(true);
+    expect(doctruth.render()).toBe('Greeting,HELLO');
+    expect(doctruth.parseOutput('Greeting,HELLO').sources).toEqual([{ name: 'Greeting', output: 'HELLO' }]);
+  });
+
+  test('should load plugins listed in the config', async () => {
+    fs.mkdirSync(path.join(dir, 'plugins'));
+    fs.writeFileSync(path.join(dir, 'plugins', 'license.js'), `
+      module.exports = {
+        sourceTypes: {
+          license: (item, context) => 'MIT (' + context.cwd + ')'
+        },
+        hooks: {
+          afterGenerate: results => { results.meta.plugin = 'license'; }
+        }
+      };
+    `);
+    fs.writeFileSync(path.join(dir, 'plugins', 'stamp.js'), `
+      module.exports = (api, options) => {
+        api.registerFormatter('stamp', results => options.prefix + results.meta.project);
+      };
+    `);
+
+    const configPath = path.join(dir, '.doctruth.yml');
+    fs.writeFileSync(configPath, [
+      'project: Plugged',
+      'meta:',
+      '  history_limit: 0',
+      'plugins:',
+      '  - ./plugins/license.js',
+      '  - path: ./plugins/stamp.js',
+      '    options:',
+      '      prefix: "project="',
+      'truth_sources:',
+      '  - name: License',
+      '    type: license'
+    ].join('\n'));
+
+    const output = path.join(dir, 'TRUTH.txt');
+    const doctruth = new DocTruth({ silent: true, config: configPath, output, format: 'stamp' });
+    await doctruth.loadConfig();
+    await doctruth.generate();
+
+    expect(doctruth.results.sources[0].output).toBe(`MIT (${process.cwd()})`);
+    expect(doctruth.results.meta.plugin).toBe('license');
+    expect(fs.readFileSync(output, 'utf8')).toBe('project=Plugged');
+  });
+
+  test('should replace config plugins when the config is loaded again', async () => {
+    fs.writeFileSync(path.join(dir, 'counter.js'), `
+      module.exports = {
+        sourceTypes: { counted: () => 'counted' },
+        hooks: { beforeSource: item => { item.calls = (item.calls || 0) + 1; } }
+      };
+    `);
+
+    const configPath = path.join(dir, 'reload.yml');
+    const write = plugins => fs.writeFileSync(configPath, [
+      'meta:',
+      '  history_limit: 0',
+      ...plugins,
+      'truth_sources:',
+      '  - name: Echo',
+      '    command: echo hi'
+    ].join('\n'));
+    write(['plugins:', '  - ./counter.js']);
+
+    const doctruth = new DocTruth({ silent: true, config: configPath });
+    for (let load = 0; load < 3; load++) {
+      await doctruth.loadConfig();
+    }
+    await doctruth.run();
+    expect(doctruth.config.truth_sources[0].calls).toBe(1);
+
+    write([]);
+    await doctruth.loadConfig();
+    await doctruth.run();
+    expect(doctruth.config.truth_sources[0].calls).toBeUndefined();
+    expect(require('../src/sources').sourceTypes.counted).toBeUndefined();
+  });
+
+  test('should reject unknown hooks, formats and plugins', async () => {
+    const doctruth = new DocTruth({ silent: true });
+
+    expect(() => doctruth.use({ hooks: { beforeEverything: () => {} } })).toThrow('Unknown hook "beforeEverything"');
+    expect(() => doctruth.render('yaml')).toThrow('Unknown format "yaml"');
+
+    const configPath = path.join(dir, 'broken.yml');
+    fs.writeFileSync(configPath, 'plugins:\n  - ./missing-plugin.js\n');
+    await expect(new DocTruth({ silent: true, config: configPath }).loadConfig())
+      .rejects.toThrow('Failed to load plugin "./missing-plugin.js"');
+  });
+});
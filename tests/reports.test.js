@@ -0,0 +1,67 @@
+/**
+ * Tests for JUnit XML and TAP output
+ */
+
+const DocTruth = require('../src/index');
+
+function doctruthWithResults() {
+  const doctruth = new DocTruth();
+  doctruth.results = {
+    meta: { project: 'Test & Co', generated: '2026-01-01T00:00:00.000Z' },
+    sources: [
+      { name: 'Node', command: 'node --version', output: 'v20.0.0', stderr: '', exitCode: 0, duration: 40, essential: true },
+      { name: 'DB', command: 'psql', output: '', stderr: 'connection refused\nretrying', exitCode: 2, duration: 1200, essential: true },
+      { name: 'Files', command: 'ls', output: 'a', stderr: '', exitCode: 0, duration: 5, essential: false }
+    ],
+    validations: [
+      { name: 'Tests pass', passed: true, output: 'ok', stderr: '', exitCode: 0, duration: 1500, required: true },
+      {
+        name: 'Coverage #1',
+        passed: false,
+        output: 'Coverage: 70% ]]> <done>',
+        stderr: '',
+        exitCode: 0,
+        duration: 250,
+        required: false,
+        assertions: [{ kind: 'gte', expected: 80, actual: 70, passed: false }]
+      }
+    ]
+  };
+  return doctruth;
+}
+
+describe('reports', () => {
+  test('should render validations and essential sources as JUnit XML', () => {
+    const xml = doctruthWithResults().render('junit');
+
+    expect(xml).toContain('<testsuites name="Test &amp; Co" tests="4" failures="2" errors="0" time="2.990">');
+    expect(xml).toContain('<testsuite name="Validations" tests="2" failures="1" errors="0" skipped="0" time="1.750" timestamp="2026-01-01T00:00:00.000Z">');
+    expect(xml).toContain('<testcase name="Tests pass" classname="doctruth.validations" time="1.500">');
+    expect(xml).toContain('<failure message="gte: expected 80, got 70" type="ValidationFailure">gte: expected 80, got 70</failure>');
+    expect(xml).toContain('<system-out><![CDATA[Coverage: 70% ]]]]><![CDATA[> <done>]]></system-out>');
+    expect(xml).toContain('<failure message="[EXIT CODE: 2] connection refused" type="SourceFailure">');
+    expect(xml).toContain('<system-err><![CDATA[connection refused\nretrying]]></system-err>');
+    expect(xml).not.toContain('name="Files"');
+  });
+
+  test('should render TAP with diagnostics for failures', () => {
+    const tap = doctruthWithResults().render('tap');
+
+    expect(tap.split('\n').slice(0, 4)).toEqual([
+      'TAP version 13',
+      '1..4',
+      'ok 1 - Validations: Tests pass',
+      'not ok 2 - Validations: Coverage \\#1'
+    ]);
+    expect(tap).toContain([
+      '  ---',
+      '  message: "gte: expected 80, got 70"',
+      '  output: |',
+      '    Coverage: 70% ]]> <done>',
+      '  duration_ms: 250',
+      '  ...',
+      'ok 3 - Essential Sources: Node',
+      'not ok 4 - Essential Sources: DB'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Tests for the async command runner
+ */
+
+const { execCommand, createLimiter, mapLimit } = require('../src/runner');
+
+describe('runner', () => {
+  test('should capture stdout and exit code', async () => {
+    const result = await execCommand('node -e "console.log(\'hello\')"');
+    expect(result.stdout.trim()).toBe('hello');
+    expect(result.exitCode).toBe(0);
+    expect(result.timedOut).toBe(false);
+  });
+
+  test('should report non-zero exit codes', async () => {
+    const result = await execCommand('exit 3');
+    expect(result.exitCode).toBe(3);
+  });
+
+  test('should run executables with arguments without a shell', async () => {
+    const result = await execCommand(process.execPath, { args: ['-e', 'console.log(process.argv[1])', '$HOME | x'] });
+    expect(result.stdout.trim()).toBe('$HOME | x');
+    expect(result.exitCode).toBe(0);
+  });
+
+  test('should time out long-running commands', async () => {
+    const result = await execCommand('node -e "setTimeout(() => {}, 5000)"', { timeout: 300 });
+    expect(result.timedOut).toBe(true);
+    expect(result.duration).toBeLessThan(5000);
+  });
+
+  test('should never exceed the concurrency limit', async () => {
+    const limit = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+
+    const results = await mapLimit([30, 10, 20, 5], limit, async (delay, index) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      active--;
+      return index;
+    });
+
+    expect(peak).toBe(2);
+    expect(results).toEqual([0, 1, 2, 3]);
+  });
+});
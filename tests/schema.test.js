@@ -0,0 +1,131 @@
+/**
+ * Tests for config schema validation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const DocTruth = require('../src/index');
+const { schema, validateConfig, formatProblem, suggest } = require('../src/schema');
+const { registerSourceType } = require('../src/sources');
+
+function check(text) {
+  return validateConfig(yaml.load(text), text, '.doctruth.yml').map(formatProblem);
+}
+
+describe('schema', () => {
+  test('should accept the presets and the generated default config', () => {
+    const presetDir = path.join(__dirname, '..', 'presets');
+    for (const file of fs.readdirSync(presetDir)) {
+      const text = fs.readFileSync(path.join(presetDir, file), 'utf8');
+      expect(validateConfig(yaml.load(text), text, file)).toEqual([]);
+    }
+
+    expect(validateConfig(new DocTruth().getDefaultConfig())).toEqual([]);
+  });
+
+  test('should report unknown keys with their location and a suggestion', () => {
+    const problems = check([
+      'project: app',
+      'truth_source:',
+      '  - name: Version',
+      'validations:',
+      '  - name: Tests',
+      '    command: npm test',
+      '    sucessPattern: passing'
+    ].join('\n'));
+
+    expect(problems).toEqual([
+      '.doctruth.yml:2:1: Unknown key "truth_source" (did you mean "truth_sources"?)',
+      '.doctruth.yml:7:5: Unknown key "sucessPattern" in validations[0] (did you mean "successPattern"?)'
+    ]);
+  });
+
+  test('should report missing commands, wrong types and bad values', () => {
+    const problems = check([
+      'truth_sources:',
+      '  - name: Broken',
+      '    essential: "yes"',
+      '  - name: Branch',
+      '    type: git',
+      '    info: branches',
+      'meta:',
+      '  concurrency: 0'
+    ].join('\n'));
+
+    expect(problems).toEqual([
+      '.doctruth.yml:2:5: truth_sources[0] is missing "command" or "type"',
+      '.doctruth.yml:3:5: truth_sources[0].essential should be a boolean',
+      '.doctruth.yml:6:5: truth_sources[1].info should be one of "branch", "commit", "commits", "tags", "remote", "status" (did you mean "branch"?)',
+      '.doctruth.yml:8:3: meta.concurrency should be >= 1'
+    ]);
+  });
+
+  test('should report unknown keys on built-in source types', () => {
+    expect(check([
+      'truth_sources:',
+      '  - name: Version',
+      '    type: json',
+      '    path: package.json',
+      '    feild: version',
+      'validations:',
+      '  - name: Links',
+      '    type: links',
+      '    bogus: 1'
+    ].join('\n'))).toEqual([
+      '.doctruth.yml:5:5: Unknown key "feild" in truth_sources[0] (did you mean "field"?)',
+      '.doctruth.yml:9:5: Unknown key "bogus" in validations[0]'
+    ]);
+  });
+
+  test('should allow "!replace" and flow-style values', () => {
+    expect(check([
+      'extends: nodejs',
+      'truth_sources: ["!replace", {name: Node, command: node -v}]',
+      'inject: README.md'
+    ].join('\n'))).toEqual([]);
+  });
+
+  test('should know source types and keys added by plugins', () => {
+    registerSourceType('schema-test', { run: () => 'ok' });
+
+    expect(check('truth_sources:\n  - name: Custom\n    type: schema-test\n    url: https://example.com\n')).toEqual([]);
+    expect(check('truth_sources:\n  - name: Custom\n    type: schema-tset\n')).toEqual([
+      '.doctruth.yml:3:5: Unknown source type "schema-tset" in truth_sources[0] (did you mean "schema-test"?)'
+    ]);
+  });
+
+  test('should only suggest close matches', () => {
+    expect(suggest('success_pattern', ['successPattern', 'required'])).toBe('successPattern');
+    expect(suggest('benchmark', ['benchmarks', 'validations'])).toBe('benchmarks');
+    expect(suggest('colour', ['essential', 'category'])).toBeNull();
+  });
+
+  test('should describe every top-level key for editors', () => {
+    for (const [key, property] of Object.entries(schema.properties)) {
+      expect({ key, description: typeof property.description }).toEqual({ key, description: 'string' });
+    }
+  });
+
+  describe('loadConfig', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-schema-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should refuse an invalid config before running anything', async () => {
+      const configPath = path.join(dir, '.doctruth.yml');
+      fs.writeFileSync(configPath, 'truth_sources:\n  - name: Files\n    comand: ls\n');
+
+      const doctruth = new DocTruth({ silent: true, config: configPath });
+      await expect(doctruth.loadConfig()).rejects.toThrow(`${configPath}:3:5: Unknown key "comand" in truth_sources[0] (did you mean "command"?)`);
+      expect(doctruth.problems).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Tests for the semver range helper
+ */
+
+const semver = require('../src/semver');
+
+describe('semver', () => {
+  test('should extract versions from command output', () => {
+    expect(semver.extract('v20.11.1')).toBe('20.11.1');
+    expect(semver.extract('Python 3.11.4')).toBe('3.11.4');
+    expect(semver.extract('go version go1.21 linux/amd64')).toBe('1.21');
+    expect(semver.extract('no version here')).toBeNull();
+  });
+
+  test.each([
+    ['20.1.0', '>=18', true],
+    ['16.20.0', '>=18', false],
+    ['1.4.2', '^1.2.0', true],
+    ['2.0.0', '^1.2.0', false],
+    ['0.2.5', '^0.2.1', true],
+    ['0.3.0', '^0.2.1', false],
+    ['1.2.9', '~1.2.3', true],
+    ['1.3.0', '~1.2.3', false],
+    ['1.9.0', '1.x', true],
+    ['2.0.0', '1.x || 3.x', false],
+    ['3.1.0', '1.x || 3.x', true],
+    ['1.5.0', '1.2 - 2.3.4', true],
+    ['19.0.0', '>= 14 < 20', true],
+    ['20.0.0-rc.1', '>=20.0.0', false],
+    ['5.0.0', '*', true]
+  ])('%s satisfies %s is %s', (version, range, expected) => {
+    expect(semver.satisfies(version, range)).toBe(expected);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for native source types and the TOML reader
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const toml = require('../src/toml');
+const { runSource, describeSource, parseLineRange, formatValue } = require('../src/sources');
+
+describe('toml', () => {
+  test('should parse tables, arrays of tables and values', () => {
+    const data = toml.parse([
+      '# Cargo manifest',
+      'title = "Demo" # trailing comment',
+      '',
+      '[package]',
+      'name = "demo"',
+      "version = '0.1.0'",
+      'authors = [',
+      '  "A <a@example.com>",',
+      '  "B",',
+      ']',
+      'edition.year = 2021',
+      '',
+      '[dependencies]',
+      'serde = { version = "1.0", features = ["derive"] }',
+      '',
+      '[[bin]]',
+      'name = "one"',
+      '[[bin]]',
+      'name = "two"',
+      'enabled = true',
+      'released = 1979-05-27',
+      'ratio = 1_000.5'
+    ].join('\n'));
+
+    expect(data.title).toBe('Demo');
+    expect(data.package).toEqual({
+      name: 'demo',
+      version: '0.1.0',
+      authors: ['A <a@example.com>', 'B'],
+      edition: { year: 2021 }
+    });
+    expect(data.dependencies.serde).toEqual({ version: '1.0', features: ['derive'] });
+    expect(data.bin).toEqual([
+      { name: 'one' },
+      { name: 'two', enabled: true, released: '1979-05-27', ratio: 1000.5 }
+    ]);
+  });
+
+  test('should report the line of a syntax error', () => {
+    expect(() => toml.parse('a = 1\nb = "open')).toThrow('TOML line 2');
+  });
+});
+
+describe('source types', () => {
+  let dir;
+  const run = item => runSource(item, { cwd: dir, timeout: 10000 });
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-sources-'));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'one\ntwo\nthree\nfour\n');
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({
+      name: 'demo',
+      scripts: { test: 'jest', lint: 'eslint .' },
+      keywords: ['docs', 'truth']
+    }));
+    fs.writeFileSync(path.join(dir, 'config.yml'), 'server:\n  port: 8080\n');
+    fs.writeFileSync(path.join(dir, 'pyproject.toml'), '[project]\nname = "demo-py"\n');
+    fs.mkdirSync(path.join(dir, 'src'));
+    fs.writeFileSync(path.join(dir, 'src', 'a.js'), '');
+    fs.writeFileSync(path.join(dir, 'src', 'b.js'), '');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('file should read contents or a line range', async () => {
+    expect((await run({ type: 'file', path: 'notes.txt' })).output).toBe('one\ntwo\nthree\nfour');
+    expect((await run({ type: 'file', path: 'notes.txt', lines: '2-3' })).output).toBe('two\nthree');
+    expect((await run({ type: 'file', path: 'notes.txt', lines: '3-' })).output).toBe('three\nfour');
+    expect(parseLineRange('5')).toEqual({ start: 5, end: 5 });
+  });
+
+  test('json should read fields from JSON, YAML and TOML', async () => {
+    expect((await run({ type: 'json', path: 'package.json', field: 'name' })).output).toBe('demo');
+    expect((await run({ type: 'json', path: 'package.json', field: 'scripts' })).output).toBe('test: jest\nlint: eslint .');
+    expect((await run({ type: 'json', path: 'package.json', field: 'keywords[1]' })).output).toBe('truth');
+    expect((await run({ type: 'json', path: 'config.yml', field: 'server.port' })).output).toBe('8080');
+    expect((await run({ type: 'json', path: 'pyproject.toml', field: 'project.name' })).output).toBe('demo-py');
+  });
+
+  test('glob should list or count files', async () => {
+    expect((await run({ type: 'glob', pattern: 'src/*.js' })).output).toBe('src/a.js\nsrc/b.js');
+    expect((await run({ type: 'glob', pattern: 'src/*.js', count: true })).output).toBe('2');
+    expect((await run({ type: 'glob', pattern: 'src/*.js', limit: 1 })).output).toBe('src/a.js');
+  });
+
+  test('env should read variables', async () => {
+    process.env.DOCTRUTH_TEST_VAR = 'hello';
+    expect((await run({ type: 'env', variable: 'DOCTRUTH_TEST_VAR' })).output).toBe('hello');
+    expect((await run({ type: 'env', variable: ['DOCTRUTH_TEST_VAR', 'DOCTRUTH_UNSET_VAR'] })).output)
+      .toBe('DOCTRUTH_TEST_VAR=hello\nDOCTRUTH_UNSET_VAR=(not set)');
+    delete process.env.DOCTRUTH_TEST_VAR;
+  });
+
+  test('git should read repository metadata without a shell', async () => {
+    const result = await runSource({ type: 'git', info: 'commit' }, { cwd: path.join(__dirname, '..') });
+    if (result.error) {
+      // Source snapshots without a .git directory
+      expect(result.error).toMatch(/^git rev-parse failed/);
+    } else {
+      expect(result.output).toMatch(/^[0-9a-f]{4,}$/);
+    }
+
+    const outside = await run({ type: 'git', info: 'nonsense' });
+    expect(outside.error).toMatch(/Unknown git info "nonsense"/);
+  });
+
+  test('failures should be reported like command errors unless a default is given', async () => {
+    const missing = await run({ type: 'file', path: 'missing.txt' });
+    expect(missing).toMatchObject({ output: '', exitCode: null, error: 'File not found: missing.txt' });
+
+    const field = await run({ type: 'json', path: 'package.json', field: 'version' });
+    expect(field.error).toBe('Field "version" not found in package.json');
+
+    const fallback = await run({ type: 'file', path: 'missing.txt', default: 'n/a' });
+    expect(fallback).toMatchObject({ output: 'n/a', exitCode: 0, error: null });
+  });
+
+  test('should describe sources and reject unknown types', async () => {
+    expect(describeSource({ command: 'ls' })).toBe('ls');
+    expect(describeSource({ type: 'json', path: 'package.json', field: 'name' })).toBe('json: package.json#name');
+    expect(describeSource({ type: 'glob', pattern: ['*.md', '*.txt'], count: true })).toBe('glob: *.md, *.txt (count)');
+    await expect(run({ type: 'ftp' })).rejects.toThrow('Unknown source type "ftp"');
+    expect(formatValue({ a: 1, b: [1, 2] })).toBe('a: 1\nb: [1,2]');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for user-defined output templates
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocTruth = require('../src/index');
+const { render, buildView } = require('../src/template');
+const { compareResults } = require('../src/compare');
+
+function createDocTruth(config = {}) {
+  const doctruth = new DocTruth();
+  doctruth.config = config;
+  doctruth.results = {
+    meta: { project: 'Test', generated: '2026-01-01T00:00:00.000Z', generationTime: '0.5s' },
+    sources: [
+      { name: 'Node', command: 'node --version', output: 'v20.0.0', exitCode: 0, essential: true, category: 'Environment' },
+      { name: 'Broken', command: 'make', output: '', stderr: 'oops', exitCode: 2 }
+    ],
+    validations: [
+      { name: 'Tests', passed: true, output: 'ok', exitCode: 0, required: true },
+      { name: 'Coverage', passed: false, output: '70', exitCode: 0, required: false, assertions: [{ kind: 'gte', expected: 80, actual: 70, passed: false }] }
+    ],
+    platform: [
+      { name: 'OS', value: 'Linux', exitCode: 0 }
+    ]
+  };
+  doctruth.errors = [];
+  return doctruth;
+}
+
+describe('template', () => {
+  describe('render', () => {
+    test('should substitute dotted names and escape only when asked', () => {
+      const view = { project: { name: 'A & B' } };
+
+      expect(render('# {{project.name}}', view)).toBe('# A & B');
+      expect(render('{{project.name}}', view, { escape: text => text.replace(/&/g, '&amp;') })).toBe('A &amp; B');
+      expect(render('{{{project.name}}}', view, { escape: () => 'escaped' })).toBe('A & B');
+      expect(render('[{{missing}}]', view)).toBe('[]');
+    });
+
+    test('should iterate lists and fall back to outer contexts', () => {
+      const view = { unit: 'ms', items: [{ name: 'a', value: 1 }, { name: 'b', value: 2 }] };
+
+      expect(render('{{#items}}{{name}}={{value}}{{unit}} {{/items}}', view)).toBe('a=1ms b=2ms ');
+      expect(render('{{#tags}}{{.}},{{/tags}}', { tags: ['x', 'y'] })).toBe('x,y,');
+    });
+
+    test('should render inverted sections for empty values', () => {
+      expect(render('{{^items}}none{{/items}}', { items: [] })).toBe('none');
+      expect(render('{{^ok}}bad{{/ok}}{{#ok}}good{{/ok}}', { ok: true })).toBe('good');
+    });
+
+    test('should not leave blank lines for standalone tags', () => {
+      const template = '# List\n{{! a comment }}\n{{#items}}\n- {{.}}\n{{/items}}\nEnd\n';
+
+      expect(render(template, { items: ['a', 'b'] })).toBe('# List\n- a\n- b\nEnd\n');
+    });
+
+    test('should report unbalanced sections with a line number', () => {
+      expect(() => render('a\n{{#items}}\nb', {})).toThrow('Template line 2: unclosed {{#items}}');
+      expect(() => render('{{#a}}{{/b}}', {})).toThrow('unexpected {{/b}}');
+    });
+  });
+
+  describe('buildView', () => {
+    test('should expose sources by name and category with display text', () => {
+      const view = buildView(createDocTruth());
+
+      expect(view.project).toBe('Test');
+      expect(view.sourcesByName.Node.output).toBe('v20.0.0');
+      expect(view.sourcesByName.Broken.failed).toBe(true);
+      expect(view.sourcesByName.Broken.display).toBe('[EXIT CODE: 2]\noops');
+      expect(view.categories.map(c => c.name)).toEqual(['Environment', 'General']);
+      expect(view.validationSummary).toEqual({ passed: 1, failed: 1, skipped: 0, total: 2 });
+      expect(view.validations[1].result).toBe('gte: expected 80, got 70');
+      expect(view.sections.Environment).toBe('## Environment\n\n- **OS**: Linux');
+    });
+  });
+
+  describe('DocTruth', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-template-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should render Markdown through the template relative to the config', () => {
+      fs.writeFileSync(path.join(tmpDir, 'truth.mustache'), '# {{project}}\nNode {{sourcesByName.Node.output}}\n{{{sections.Environment}}}\n');
+      const doctruth = createDocTruth({ template: 'truth.mustache' });
+      doctruth.configPath = path.join(tmpDir, '.doctruth.yml');
+
+      expect(doctruth.render('markdown')).toBe('# Test\nNode v20.0.0\n## Environment\n\n- **OS**: Linux\n');
+      expect(doctruth.render('json')).toContain('"project": "Test"');
+    });
+
+    test('should escape HTML templates', () => {
+      fs.writeFileSync(path.join(tmpDir, 'truth.html'), '<h1>{{project}}</h1>{{#validations}}<p class="{{status}}">{{result}}</p>{{/validations}}');
+      const doctruth = createDocTruth({ template: 'truth.html' });
+      doctruth.configPath = path.join(tmpDir, '.doctruth.yml');
+      doctruth.results.meta.project = '<Test>';
+
+      expect(doctruth.toMarkdown()).toBe('<h1>&lt;Test&gt;</h1><p class="pass">ok</p><p class="fail">gte: expected 80, got 70</p>');
+    });
+
+    test('should compare templated output as a document, ignoring timestamps', () => {
+      fs.writeFileSync(path.join(tmpDir, 'truth.md'), 'Built {{generated}}: {{sourcesByName.Node.output}}\n');
+      const doctruth = createDocTruth({ template: 'truth.md' });
+      doctruth.configPath = path.join(tmpDir, '.doctruth.yml');
+
+      const before = doctruth.parseOutput('Built 2025-06-01T10:00:00.000Z: v20.0.0\n', 'markdown');
+      const after = doctruth.parseOutput(doctruth.render('markdown'), 'markdown');
+
+      expect(before.document).toBeDefined();
+      expect(compareResults(before, after)).toEqual([]);
+    });
+
+    test('should name a missing template file', () => {
+      const doctruth = createDocTruth({ template: 'missing.md' });
+      doctruth.configPath = path.join(tmpDir, '.doctruth.yml');
+
+      expect(() => doctruth.render('markdown')).toThrow(/Cannot read template .*missing\.md/);
+    });
+  });
+
+  test('should make the Markdown truncation limit configurable', () => {
+    const doctruth = createDocTruth({ max_output_lines: 2 });
+    const source = { name: 'Lines', command: 'seq 5', output: '1\n2\n3\n4\n5', exitCode: 0 };
+
+    expect(doctruth.markdownSource(source).join('\n')).toContain('... (3 more lines truncated)');
+
+    doctruth.config.max_output_lines = 0;
+    expect(doctruth.markdownSource(source).join('\n')).not.toContain('truncated');
+  });
+});
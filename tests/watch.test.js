@@ -0,0 +1,81 @@
+/**
+ * Tests for incremental watch mode
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocTruth = require('../src/index');
+
+describe('watch', () => {
+  let dir;
+  let doctruth;
+
+  const random = 'node -e "console.log(Math.random())"';
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-watch-'));
+    doctruth = new DocTruth({ silent: true, config: path.join(dir, '.doctruth.yml') });
+    doctruth.config = {
+      output: path.join(dir, 'TRUTH.md'),
+      meta: { history_limit: 0 },
+      watch_debounce: 20,
+      truth_sources: [
+        { name: 'Docs', command: random, inputs: ['docs/**/*.md'] },
+        { name: 'Code', command: random, inputs: ['src/**'] },
+        { name: 'Anything', command: random }
+      ]
+    };
+  });
+
+  afterEach(async () => {
+    await doctruth.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should only re-run items whose inputs changed', async () => {
+    await doctruth.generate();
+    const [docs, code, anything] = doctruth.results.sources.map(s => s.output);
+
+    const changes = [];
+    doctruth.on('change', change => changes.push(change));
+    await doctruth.regenerate(['src/index.js', 'README.txt']);
+
+    const outputs = doctruth.results.sources.map(s => s.output);
+    expect(outputs[0]).toBe(docs);
+    expect(outputs[1]).not.toBe(code);
+    expect(outputs[2]).not.toBe(anything);
+    expect(changes).toEqual([{ files: ['src/index.js', 'README.txt'], reused: 1 }]);
+    expect(fs.readFileSync(doctruth.config.output, 'utf8')).toContain(outputs[1]);
+  });
+
+  test('should coalesce a burst of changes into one run', async () => {
+    const runs = [];
+    doctruth.regenerate = async files => {
+      runs.push(files);
+    };
+
+    for (let i = 0; i < 200; i++) {
+      doctruth.queueChange(`src/file${i % 50}.js`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toHaveLength(50);
+    expect(runs[0][0]).toBe('src/file0.js');
+  });
+
+  test('should close the watcher cleanly', async () => {
+    doctruth.config.truth_sources.pop();
+
+    await doctruth.watch();
+    expect(doctruth.getWatchPaths()).toEqual(['docs/**/*.md', 'src/**']);
+    expect(doctruth.watcher).toBeTruthy();
+
+    doctruth.queueChange('src/index.js');
+    await doctruth.close();
+
+    expect(doctruth.watcher).toBeNull();
+    expect(doctruth.pendingChanges.size).toBe(0);
+  });
+});
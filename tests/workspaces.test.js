@@ -0,0 +1,119 @@
+/**
+ * Tests for monorepo workspace discovery and aggregated truth
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectWorkspaces, findWorkspaces } = require('../src/workspaces');
+const DocTruth = require('../src/index');
+const { renderMarkdown, renderHTML } = require('../src/index');
+
+describe('workspaces', () => {
+  let dir;
+  const cwd = process.cwd();
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctruth-workspaces-'));
+    for (const pkg of ['packages/api', 'packages/web', 'crates/core', 'crates/legacy', 'services/auth']) {
+      fs.mkdirSync(path.join(dir, pkg), { recursive: true });
+    }
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should read npm, yarn and pnpm workspaces', () => {
+    write('package.json', JSON.stringify({ workspaces: ['packages/*'] }));
+    expect(detectWorkspaces(dir)).toEqual([{ manager: 'npm', patterns: ['packages/*'] }]);
+    expect(findWorkspaces(true, dir)).toEqual(['packages/api', 'packages/web']);
+
+    write('package.json', JSON.stringify({ workspaces: { packages: ['packages/api'] } }));
+    expect(findWorkspaces(true, dir)).toEqual(['packages/api']);
+
+    fs.rmSync(path.join(dir, 'package.json'));
+    write('pnpm-workspace.yaml', 'packages:\n  - "packages/*"\n  - "!packages/web"\n');
+    expect(findWorkspaces(true, dir)).toEqual(['packages/api']);
+  });
+
+  test('should read Cargo workspaces and go.work', () => {
+    write('Cargo.toml', '[workspace]\nmembers = ["crates/*"]\nexclude = ["crates/legacy"]\n');
+    write('go.work', 'go 1.22\n\nuse (\n  ./services/auth // auth service\n  .\n)\n');
+
+    expect(detectWorkspaces(dir).map(entry => entry.manager)).toEqual(['cargo', 'go']);
+    expect(findWorkspaces(true, dir)).toEqual(['crates/core', 'services/auth']);
+  });
+
+  test('should accept an explicit list of globs', () => {
+    expect(findWorkspaces(['packages/*', 'services/*/', '!packages/web'], dir)).toEqual(['packages/api', 'services/auth']);
+    expect(findWorkspaces(false, dir)).toEqual([]);
+  });
+
+  test('should write a truth file per package and a root summary, and check them all', async () => {
+    write('.doctruth.yml', [
+      'project: mono',
+      'workspaces: ["packages/*"]',
+      'meta:',
+      '  history_limit: 0'
+    ].join('\n'));
+    write('packages/api/package.json', '{"version": "1.0.0"}');
+    write('packages/api/.doctruth.yml', [
+      'project: api',
+      'meta:',
+      '  history_limit: 0',
+      'truth_sources:',
+      '  - name: Version',
+      '    type: json',
+      '    path: package.json',
+      '    field: version'
+    ].join('\n'));
+    process.chdir(dir);
+
+    const doctruth = new DocTruth({ silent: true });
+    await doctruth.loadConfig();
+    await doctruth.generate();
+
+    expect(doctruth.results.workspaces).toEqual([
+      expect.objectContaining({ name: 'api', path: 'packages/api', output: 'packages/api/CURRENT_TRUTH.md', status: 'pass' }),
+      { name: 'web', path: 'packages/web', status: 'skipped' }
+    ]);
+    expect(process.cwd()).toBe(fs.realpathSync(dir));
+    expect(fs.readFileSync(path.join(dir, 'packages/api/CURRENT_TRUTH.md'), 'utf8')).toContain('1.0.0');
+
+    const summary = fs.readFileSync(path.join(dir, 'CURRENT_TRUTH.md'), 'utf8');
+    expect(summary).toContain('| ✅ | api | packages/api | 0/0 | 0 | [CURRENT_TRUTH.md](packages/api/CURRENT_TRUTH.md) |');
+    expect(summary).toContain('| ➖ | web | packages/web | - | - | no config |');
+
+    // Results rendered later, e.g. from a snapshot, have no config to go by
+    expect(renderMarkdown(doctruth.results)).toContain('[CURRENT_TRUTH.md](packages/api/CURRENT_TRUTH.md)');
+    expect(renderHTML(doctruth.results)).toContain('href="packages/api/CURRENT_TRUTH.md"');
+
+    const checker = new DocTruth({ silent: true });
+    await checker.loadConfig();
+    expect(await checker.check()).toBe(false);
+
+    write('packages/api/package.json', '{"version": "1.1.0"}');
+    expect(await checker.check()).toBe(true);
+    expect(checker.changes).toEqual([
+      expect.objectContaining({ type: 'changed', section: 'packages/api/sources', name: 'Version', before: '1.0.0', after: '1.1.0' })
+    ]);
+  });
+
+  test('should name the package whose config is invalid', async () => {
+    write('.doctruth.yml', 'workspaces: ["packages/*"]\n');
+    write('packages/api/.doctruth.yml', 'truth_sources:\n  - name: Broken\n');
+    process.chdir(dir);
+
+    const doctruth = new DocTruth({ silent: true });
+    await doctruth.loadConfig();
+    await expect(doctruth.run()).rejects.toThrow(/^packages\/api: Failed to load config/);
+    expect(process.cwd()).toBe(fs.realpathSync(dir));
+  });
+});